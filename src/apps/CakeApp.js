@@ -2,8 +2,19 @@ import * as THREE from 'three';
 import { SceneManager } from '../core/SceneManager.js';
 import { CameraManager } from '../core/CameraManager.js';
 import { RenderManager } from '../core/RenderManager.js';
+import { PowerManager } from '../core/PowerManager.js';
 import { TapDetector } from '../features/TapDetector.js';
+import { OrbitController } from '../features/OrbitController.js';
 import { FlameEffect } from '../features/FlameEffect.js';
+import { FrameSequenceRenderer } from '../features/FrameSequenceRenderer.js';
+import { PyramidApp, VIEW_URL_STATE, MOTION_URL_STATE, ENVIRONMENT_URL_STATE } from './PyramidApp.js';
+
+// Settings shared through the URL hash (see UrlState)
+const URL_STATE_SCHEMA = {
+    ...VIEW_URL_STATE,
+    ...MOTION_URL_STATE,
+    ...ENVIRONMENT_URL_STATE
+};
 
 /**
  * CakeApp - Cake Page Application
@@ -14,8 +25,9 @@ import { FlameEffect } from '../features/FlameEffect.js';
  * - Support required-tap/button to extinguish flame
  * - Retain most features from index.html (except model switching)
  */
-export class CakeApp {
+export class CakeApp extends PyramidApp {
     constructor() {
+        super();
         this.canvas = document.getElementById('canvas');
         
         if (!this.canvas) {
@@ -23,6 +35,11 @@ export class CakeApp {
             return;
         }
         
+        // Every DOM listener the app adds is bound to this signal, dispose() aborts it
+        this.lifecycle = new AbortController();
+        this.animationFrameId = null;
+        this.disposed = false;
+        
         this.rotationSpeed = 0.002; // Cake rotation speed slightly slower
         this.isAnimating = true;
         
@@ -36,6 +53,12 @@ export class CakeApp {
         this.renderManager = new RenderManager(this.canvas);
         this.sceneManager = new SceneManager(this.renderManager.getRenderer());
         this.cameraManager = new CameraManager();
+
+        // Fit every loaded model into the faces (replaces hand-tuned camera distance)
+        this.sceneManager.onModelLoadedCallback((model) => this.frameObject(model));
+        
+        // Apply this device's saved pyramid calibration (viewport size, gap, FOV)
+        this.restoreCalibration();
         
         // View mode state
         this.viewMode = 'quadrant';
@@ -63,6 +86,16 @@ export class CakeApp {
         this.setupControls();
         this.setupViewToggle();
         this.setupCameraInteraction();
+        this.setupFrameRenderer();
+        
+        // Restore settings from a shared link
+        this.restoreUrlState(URL_STATE_SCHEMA);
+        
+        // Face windows (?face=N) follow the primary window
+        this.setupWindowSync();
+        
+        // Pause when hidden, frame cap, idle dimming, wake lock
+        this.setupPowerManagement();
         
         // Load cake model
         this.loadCakeModel();
@@ -81,6 +114,7 @@ export class CakeApp {
             // Use relative path that works with Vite base path
             const modelPath = 'https://cdn.jsdelivr.net/gh/DeweiChen/PepperGhostEffect/public/models/cake.glb';
             await this.sceneManager.loadModelFromURL(modelPath);
+            if (this.disposed) return;
             
             console.log('✅ Cake model loaded successfully');
             
@@ -217,6 +251,8 @@ export class CakeApp {
             particleSpeed: 0.005      // Rising speed (controls actual height)
         });
         
+        this.flameEffect.setParticleCount(this.flameEffect.particleCount * this.renderManager.getQualityTier().particleScale);
+        
         const mesh = this.sceneManager.getMesh();
         
         // Add flame as child of cake so it rotates with cake
@@ -309,7 +345,7 @@ export class CakeApp {
                 } else {
                     alert('❌ Permission denied. Tap detection requires motion sensor access.');
                 }
-            });
+            }, { signal: this.lifecycle.signal });
         }
         
         // Add keyboard controls for flame size adjustment (for debugging)
@@ -328,21 +364,52 @@ export class CakeApp {
                 this.flameEffect.setParticleSize(newSize);
                 console.log('🔥 Flame size increased to:', newSize);
             }
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Lighting mode toggle
         const lightingToggleBtn = document.getElementById('lightingToggleBtn');
         if (lightingToggleBtn) {
             lightingToggleBtn.addEventListener('click', () => {
-                const newMode = this.sceneManager.toggleLightingMode();
-                if (newMode === 'ibl') {
-                    lightingToggleBtn.textContent = '💡 IBL Lighting (ModelViewer)';
-                    lightingToggleBtn.className = 'ibl-mode';
-                } else {
-                    lightingToggleBtn.textContent = '💡 Legacy Lighting (Simple)';
-                    lightingToggleBtn.className = 'legacy-mode';
+                this.sceneManager.toggleLightingMode();
+                this.syncEnvironmentControls();
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        // IBL environment: presets, .hdr/.exr files, rotation and intensity
+        // (controls follow every change through syncEnvironmentControls)
+        this.sceneManager.onEnvironmentChangeCallback(() => this.syncEnvironmentControls());
+        
+        const environmentSelect = document.getElementById('environmentSelect');
+        if (environmentSelect) {
+            environmentSelect.addEventListener('change', (e) => {
+                this.sceneManager.setEnvironment(e.target.value);
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const environmentFile = document.getElementById('environmentFile');
+        if (environmentFile) {
+            environmentFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                
+                if (!(await this.sceneManager.setEnvironment(file))) {
+                    alert(`Failed to load environment ${file.name} - .hdr or .exr images only (see console)`);
                 }
-            });
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const envRotation = document.getElementById('envRotation');
+        if (envRotation) {
+            envRotation.addEventListener('input', (e) => {
+                this.sceneManager.setEnvironmentRotation(parseFloat(e.target.value));
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const envIntensity = document.getElementById('envIntensity');
+        if (envIntensity) {
+            envIntensity.addEventListener('input', (e) => {
+                this.sceneManager.setEnvironmentIntensity(parseFloat(e.target.value));
+            }, { signal: this.lifecycle.signal });
         }
         
         // Extinguish flame button
@@ -367,7 +434,31 @@ export class CakeApp {
                         .then(() => console.log('🎵 Audio started after user interaction'))
                         .catch(e => console.log('🔇 Audio playback failed:', e.message));
                 }
-            });
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        // Pyramid face count (triangular, square, hexagonal, octagonal)
+        const faceCountSelect = document.getElementById('faceCountSelect');
+        if (faceCountSelect) {
+            faceCountSelect.addEventListener('change', (e) => {
+                this.cameraManager.setFaceCount(parseInt(e.target.value, 10));
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        // Face camera projection (orthographic removes perspective distortion)
+        const projectionSelect = document.getElementById('projectionSelect');
+        if (projectionSelect) {
+            projectionSelect.addEventListener('change', (e) => {
+                this.cameraManager.setProjectionMode(e.target.value);
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        // Viewport layout (radial pyramid, multi-monitor grid, single sheet, triangle)
+        const layoutSelect = document.getElementById('layoutSelect');
+        if (layoutSelect) {
+            layoutSelect.addEventListener('change', (e) => {
+                this.setLayout(e.target.value);
+            }, { signal: this.lifecycle.signal });
         }
         
         // Rotation speed control
@@ -378,7 +469,28 @@ export class CakeApp {
             rotationSpeedSlider.addEventListener('input', (e) => {
                 this.rotationSpeed = parseFloat(e.target.value);
                 speedValue.textContent = this.rotationSpeed.toFixed(3);
-            });
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        // Turntable: orbit the cameras instead of rotating the cake
+        const rotationModeSelect = document.getElementById('rotationModeSelect');
+        const turntableProfileSelect = document.getElementById('turntableProfileSelect');
+        const turntableDirectionSelect = document.getElementById('turntableDirectionSelect');
+        
+        if (rotationModeSelect) {
+            rotationModeSelect.addEventListener('change', (e) => {
+                this.cameraManager.setTurntable({ enabled: e.target.value === 'turntable' });
+            }, { signal: this.lifecycle.signal });
+        }
+        if (turntableProfileSelect) {
+            turntableProfileSelect.addEventListener('change', (e) => {
+                this.cameraManager.setTurntable({ profile: e.target.value });
+            }, { signal: this.lifecycle.signal });
+        }
+        if (turntableDirectionSelect) {
+            turntableDirectionSelect.addEventListener('change', (e) => {
+                this.cameraManager.setTurntable({ direction: parseInt(e.target.value, 10) });
+            }, { signal: this.lifecycle.signal });
         }
         
         // Camera distance control
@@ -390,7 +502,7 @@ export class CakeApp {
                 const distance = parseFloat(e.target.value);
                 this.cameraManager.updateDistance(distance);
                 distanceValue.textContent = distance.toFixed(1);
-            });
+            }, { signal: this.lifecycle.signal });
         }
         
         // Reset button
@@ -398,7 +510,7 @@ export class CakeApp {
         if (resetBtn) {
             resetBtn.addEventListener('click', () => {
                 this.resetCamera();
-            });
+            }, { signal: this.lifecycle.signal });
         }
         
         // Fullscreen button
@@ -406,14 +518,14 @@ export class CakeApp {
         if (fullscreenBtn) {
             fullscreenBtn.addEventListener('click', () => {
                 this.toggleFullscreen();
-            });
+            }, { signal: this.lifecycle.signal });
         }
         
         // Listen for fullscreen changes
-        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('mozfullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('MSFullscreenChange', () => this.handleFullscreenChange());
+        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange(), { signal: this.lifecycle.signal });
+        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange(), { signal: this.lifecycle.signal });
+        document.addEventListener('mozfullscreenchange', () => this.handleFullscreenChange(), { signal: this.lifecycle.signal });
+        document.addEventListener('MSFullscreenChange', () => this.handleFullscreenChange(), { signal: this.lifecycle.signal });
         
         // Keyboard controls
         document.addEventListener('keydown', (e) => {
@@ -428,6 +540,12 @@ export class CakeApp {
                 case 'KeyF':
                     this.toggleFullscreen();
                     break;
+                case 'KeyC':
+                    this.toggleCalibrationOverlay();
+                    break;
+                case 'KeyP':
+                    this.exportImage();
+                    break;
                 case 'KeyE':
                     // E key: toggle flame
                     if (this.flameEffect) {
@@ -436,7 +554,7 @@ export class CakeApp {
                     }
                     break;
             }
-        });
+        }, { signal: this.lifecycle.signal });
     }
     
     setupTapDetection() {
@@ -468,26 +586,54 @@ export class CakeApp {
         console.log('🎯 TapDetector initialized:', this.tapDetector.getStatus());
     }
     
+    /**
+     * Reflect the lighting mode and environment in the controls
+     */
+    syncEnvironmentControls() {
+        const lightingToggleBtn = document.getElementById('lightingToggleBtn');
+        if (lightingToggleBtn) {
+            if (this.sceneManager.getLightingMode() === 'ibl') {
+                lightingToggleBtn.textContent = '💡 IBL Lighting (ModelViewer)';
+                lightingToggleBtn.className = 'ibl-mode';
+            } else {
+                lightingToggleBtn.textContent = '💡 Legacy Lighting (Simple)';
+                lightingToggleBtn.className = 'legacy-mode';
+            }
+        }
+        
+        const { name, rotation, intensity } = this.sceneManager.getEnvironment();
+        const environmentSelect = document.getElementById('environmentSelect');
+        if (environmentSelect && name) environmentSelect.value = name;
+        
+        const envRotation = document.getElementById('envRotation');
+        const envRotationValue = document.getElementById('envRotationValue');
+        if (envRotation) envRotation.value = rotation;
+        if (envRotationValue) envRotationValue.textContent = `${Math.round(rotation)}°`;
+        
+        const envIntensity = document.getElementById('envIntensity');
+        const envIntensityValue = document.getElementById('envIntensityValue');
+        if (envIntensity) envIntensity.value = intensity;
+        if (envIntensityValue) envIntensityValue.textContent = intensity.toFixed(2);
+    }
+    
     resetToDefaults() {
         // Reset controls
         const rotationSpeedSlider = document.getElementById('rotationSpeed');
         const speedValue = document.getElementById('speedValue');
-        const cameraDistanceSlider = document.getElementById('cameraDistance');
-        const distanceValue = document.getElementById('distanceValue');
         
         if (rotationSpeedSlider) rotationSpeedSlider.value = '0.003';
         if (speedValue) speedValue.textContent = '0.003';
-        if (cameraDistanceSlider) cameraDistanceSlider.value = '4.5';
-        if (distanceValue) distanceValue.textContent = '4.5';
+        this.syncDistanceControl(this.cameraManager.getDefaultDistance());
         
         this.rotationSpeed = 0.003;
-        this.cameraManager.updateDistance(4.5);
+        this.cameraManager.updateDistance(this.cameraManager.getDefaultDistance());
         
         // Reset cake rotation
         const mesh = this.sceneManager.getMesh();
         if (mesh) {
             mesh.rotation.set(0, 0, 0);
         }
+        this.cameraManager.resetTurntable();
         
         // Relight flame if extinguished
         if (this.flameEffect && !this.flameEffect.isBurning) {
@@ -550,7 +696,8 @@ export class CakeApp {
     }
     
     resetCamera() {
-        this.cameraManager.updateDistance(4.5);
+        this.cameraManager.updateDistance(this.cameraManager.getDefaultDistance());
+        this.syncDistanceControl(this.cameraManager.getDefaultDistance());
     }
     
     setupResizeHandling() {
@@ -558,6 +705,18 @@ export class CakeApp {
             this.cameraManager.handleResize(width, height);
             console.log(`📱 Window resized to: ${width}x${height}`);
         });
+        
+        // Fewer flame particles on lower quality tiers (adaptive quality, see RenderManager)
+        this.renderManager.onQualityChangeCallback((tier) => {
+            if (this.flameEffect) {
+                this.flameEffect.setParticleCount(this.flameEffect.particleCount * tier.particleScale);
+            }
+        });
+        
+        // WebGL context restored: the PMREM environment only existed on the GPU
+        this.renderManager.onContextRestoredCallback(() => {
+            this.sceneManager.rebuildEnvironment();
+        });
     }
     
     setupViewToggle() {
@@ -565,75 +724,144 @@ export class CakeApp {
         if (viewToggleBtn) {
             viewToggleBtn.addEventListener('click', () => {
                 this.toggleViewMode();
-            });
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const overlayBtn = document.getElementById('overlayBtn');
+        if (overlayBtn) {
+            overlayBtn.addEventListener('click', () => {
+                this.toggleCalibrationOverlay();
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const exportBtn = document.getElementById('exportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportImage();
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const renderLoopBtn = document.getElementById('renderLoopBtn');
+        if (renderLoopBtn) {
+            renderLoopBtn.addEventListener('click', () => {
+                this.renderLoop();
+            }, { signal: this.lifecycle.signal });
+        }
+        
+        const faceWindowBtn = document.getElementById('faceWindowBtn');
+        if (faceWindowBtn) {
+            faceWindowBtn.addEventListener('click', () => {
+                this.openFaceWindow(parseInt(document.getElementById('faceWindowSelect').value, 10));
+            }, { signal: this.lifecycle.signal });
         }
     }
     
     setupCameraInteraction() {
-        let isDragging = false;
-        let lastX = 0;
-        let lastY = 0;
-        
-        this.canvas.addEventListener('mousedown', (e) => {
-            if (this.viewMode === 'single') {
-                isDragging = true;
-                lastX = e.clientX;
-                lastY = e.clientY;
-                this.canvas.style.cursor = 'grabbing';
+        // Single View orbit: drag with inertia, wheel/pinch zoom, two-finger pan, double tap to re-frame
+        this.orbitController = new OrbitController({
+            cameraManager: this.cameraManager,
+            element: this.canvas,
+            isEnabled: () => this.viewMode === 'single',
+            onDoubleTap: () => this.reframe()
+        });
+        this.orbitController.start();
+    }
+    
+    setupFrameRenderer() {
+        // Offline video loops: steps stepAnimation() with a fixed timestep instead of rAF
+        this.frameRenderer = new FrameSequenceRenderer({
+            renderManager: this.renderManager,
+            sceneManager: this.sceneManager,
+            cameraManager: this.cameraManager,
+            step: (deltaSeconds) => this.stepAnimation(deltaSeconds),
+            prepare: (random) => {
+                // Loop a burning flame, seeded so every render is identical
+                if (!this.flameEffect) return;
+                if (!this.flameEffect.isBurning) this.flameEffect.relight(0);
+                this.flameEffect.setRandom(random);
+            },
+            finish: () => {
+                // Back to live randomness, without restarting the flame on screen
+                this.flameEffect?.setRandom(null, false);
             }
         });
-        
-        document.addEventListener('mousemove', (e) => {
-            if (!isDragging || this.viewMode !== 'single') return;
-            
-            const deltaX = e.clientX - lastX;
-            const deltaY = e.clientY - lastY;
-            
-            this.cameraManager.rotateSingleCamera(-deltaX * 0.5, -deltaY * 0.5);
-            
-            lastX = e.clientX;
-            lastY = e.clientY;
+    }
+    
+    setupWindowSync() {
+        // ?face=N: this window shows one face full-window, driven by the primary window
+        const isFaceWindow = this.setupFaceWindow({
+            channel: 'pepper-ghost-cake',
+            interpolate: ['rotation'],
+            angles: ['turntable']
         });
         
-        document.addEventListener('mouseup', () => {
-            if (isDragging) {
-                isDragging = false;
-                this.canvas.style.cursor = 'default';
-            }
+        // The primary window plays the song
+        if (isFaceWindow && this.audio) this.audio.muted = true;
+    }
+    
+    setupPowerManagement() {
+        this.powerManager = new PowerManager({
+            renderManager: this.renderManager,
+            // Face windows get their dimming from the primary window (see applySyncState)
+            idleTimeout: this.windowSync.isFollower() ? 0 : 300,
+            // The candle keeps the show on even with the cake standing still
+            isShowRunning: () => this.isAnimating || (this.flameEffect ? this.flameEffect.isBurning : true)
         });
         
-        // Touch support
-        this.canvas.addEventListener('touchstart', (e) => {
-            if (this.viewMode === 'single' && e.touches.length === 1) {
-                isDragging = true;
-                lastX = e.touches[0].clientX;
-                lastY = e.touches[0].clientY;
-                e.preventDefault();
-            }
-        });
+        // Knocks on the pyramid are interaction too
+        this.tapDetector.on('required-tap', () => this.powerManager.notifyActivity());
+        this.tapDetector.on('long-press', () => this.powerManager.notifyActivity());
         
-        this.canvas.addEventListener('touchmove', (e) => {
-            if (!isDragging || this.viewMode !== 'single' || e.touches.length !== 1) return;
-            
-            const deltaX = e.touches[0].clientX - lastX;
-            const deltaY = e.touches[0].clientY - lastY;
-            
-            this.cameraManager.rotateSingleCamera(-deltaX * 0.5, -deltaY * 0.5);
-            
-            lastX = e.touches[0].clientX;
-            lastY = e.touches[0].clientY;
-            e.preventDefault();
-        });
+        const frameCapSelect = document.getElementById('frameCapSelect');
+        if (frameCapSelect) {
+            frameCapSelect.addEventListener('change', (e) => {
+                this.powerManager.setMaxFps(parseInt(e.target.value, 10));
+            }, { signal: this.lifecycle.signal });
+        }
         
-        this.canvas.addEventListener('touchend', () => {
-            isDragging = false;
-        });
+        const idleDimSelect = document.getElementById('idleDimSelect');
+        if (idleDimSelect) {
+            idleDimSelect.addEventListener('change', (e) => {
+                this.powerManager.setIdleDimming({ timeout: parseInt(e.target.value, 10) });
+            }, { signal: this.lifecycle.signal });
+        }
+    }
+    
+    /**
+     * State sent to face windows every frame (see WindowSync)
+     * The flame is state rather than an event, so windows opened later (or before
+     * the cake has loaded) still pick up an extinguished flame.
+     */
+    getSyncState() {
+        return {
+            ...super.getSyncState(),
+            rotation: this.sceneManager.getMesh()?.rotation.y ?? 0,
+            turntable: this.cameraManager.getTurntable().angle,
+            burning: this.flameEffect ? this.flameEffect.isBurning : true
+        };
+    }
+    
+    /**
+     * Face window: take over the primary window's state
+     * @param {Object} state - From getSyncState() (rotation / turntable / dim interpolated)
+     */
+    applySyncState(state) {
+        super.applySyncState(state);
+        
+        const mesh = this.sceneManager.getMesh();
+        if (mesh) mesh.rotation.y = state.rotation;
+        this.cameraManager.setTurntableAngle(state.turntable);
+        
+        // Extinguish / relight on the same frame as the primary
+        if (this.flameEffect && this.flameEffect.isBurning !== state.burning) {
+            this.flameEffect.toggle();
+        }
     }
     
     toggleViewMode() {
         if (this.viewMode === 'quadrant') {
             this.viewMode = 'single';
-            this.renderManager.setViewMode('single');
+            this.renderManager.setViewMode('single', { animate: true });
             
             // Adjust flame size for Single View (larger distance)
             if (this.flameEffect) {
@@ -646,7 +874,7 @@ export class CakeApp {
             console.log('📐 Switched to Single View');
         } else {
             this.viewMode = 'quadrant';
-            this.renderManager.setViewMode('quadrant');
+            this.renderManager.setViewMode('quadrant', { animate: true });
             
             // Adjust flame size for Quadrant View (closer distance)
             if (this.flameEffect) {
@@ -660,34 +888,130 @@ export class CakeApp {
         }
     }
     
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    /**
+     * Show / hide the alignment overlay used to place the pyramid (quadrant view only)
+     */
+    toggleCalibrationOverlay() {
+        const enabled = !this.renderManager.isCalibrationOverlayEnabled();
+        this.renderManager.setCalibrationOverlay(enabled);
+        
+        const btn = document.getElementById('overlayBtn');
+        if (btn) btn.textContent = enabled ? 'Hide Overlay' : 'Alignment Overlay';
+    }
+    
+    /**
+     * Download a PNG of the current view at the size chosen in the export controls
+     * Usage in console: window.app.exportImage({ width: 8192, height: 8192, transparent: true })
+     * @param {Object} [options] - Overrides for RenderManager.exportImage (width, height, transparent, filename)
+     * @returns {Promise<Blob|null>}
+     */
+    exportImage(options = {}) {
+        const [width, height] = document.getElementById('exportSizeSelect').value.split('x').map(Number);
+        const transparent = document.getElementById('exportBackgroundSelect').value === 'transparent';
+        
+        return this.renderManager.exportImage(
+            this.sceneManager.getScene(),
+            this.cameraManager.getCameras(),
+            this.cameraManager.getSingleCamera(),
+            { width, height, transparent, ...options }
+        );
+    }
+    
+    /**
+     * Render a seamless video loop of the quadrant layout with the settings chosen in the
+     * loop controls. Clicking the button again while rendering cancels.
+     * Usage in console: window.app.renderLoop({ width: 1080, height: 1080, frames: 120, transparent: true })
+     * @param {Object} [options] - Overrides for FrameSequenceRenderer.render
+     * @returns {Promise<Blob|null>}
+     */
+    async renderLoop(options = {}) {
+        const btn = document.getElementById('renderLoopBtn');
+        if (this.frameRenderer.isRendering) {
+            this.frameRenderer.cancel();
+            return null;
+        }
+        
+        const [width, height] = document.getElementById('loopSizeSelect').value.split('x').map(Number);
+        const fps = parseInt(document.getElementById('loopFpsSelect').value);
+        const seconds = parseFloat(document.getElementById('loopDurationSelect').value);
+        
+        try {
+            return await this.frameRenderer.render({
+                width, height, fps,
+                frames: Math.round(seconds * fps),
+                loop: true,
+                onProgress: (frame, total) => {
+                    if (btn) btn.textContent = `Rendering ${frame}/${total} (click to cancel)`;
+                },
+                ...options
+            });
+        } finally {
+            if (btn) btn.textContent = 'Render Loop';
+        }
+    }
+    
+    /**
+     * Advance the animation by a time step (the live loop uses the frame time, the frame renderer 1/fps)
+     * @param {number} deltaSeconds
+     */
+    stepAnimation(deltaSeconds) {
+        // rotationSpeed and the flame's particle velocities are per frame at ~60fps
+        const frames = deltaSeconds * 60;
         
         // Update flame effect
         if (this.flameEffect) {
-            this.flameEffect.update(0.016); // ~60fps
+            this.flameEffect.update(0.016 * frames);
         }
         
-        // Rotate cake
+        // Rotate cake (or orbit the turntable cameras around it)
         const mesh = this.sceneManager.getMesh();
-        if (mesh && this.isAnimating) {
-            mesh.rotation.y += this.rotationSpeed;
+        if (this.isAnimating) {
+            if (this.cameraManager.getTurntable().enabled) {
+                // Same apparent spin, scene stays still
+                this.cameraManager.setTurntable({ speed: this.rotationSpeed * 60 * 180 / Math.PI });
+                this.cameraManager.updateTurntable(deltaSeconds);
+            } else if (mesh) {
+                mesh.rotation.y += this.rotationSpeed * frames;
+            }
+        }
+    }
+    
+    animate() {
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        
+        // Nothing to draw into while the GPU is reclaimed (RenderManager shows a status message)
+        if (this.renderManager.isContextLost()) return;
+        
+        // The frame renderer drives the animation while a video loop renders
+        if (this.frameRenderer.isRendering) return;
+        
+        // Hidden page or frame cap: skip this frame
+        const deltaSeconds = this.powerManager.frame();
+        if (deltaSeconds === null) return;
+        
+        if (this.windowSync.isFollower()) {
+            // Face window: the primary window's state at this frame's playout time,
+            // flame particles run locally
+            this.windowSync.update();
+            if (this.flameEffect) this.flameEffect.update(0.016 * deltaSeconds * 60);
+        } else {
+            this.stepAnimation(deltaSeconds);
+            this.windowSync.publish(this.getSyncState());
+            
+            // Single View orbit inertia
+            this.orbitController.update();
+            
+            // Keep the URL hash in sync with the current settings
+            this.urlState.sync(this.getUrlState());
         }
         
         // Render
         try {
-            if (this.viewMode === 'single') {
-                const camera = this.cameraManager.getSingleCamera();
-                this.renderManager.renderSingle(
-                    this.sceneManager.getScene(),
-                    camera
-                );
-            } else {
-                this.renderManager.renderQuadrants(
-                    this.sceneManager.getScene(),
-                    this.cameraManager.getCameras()
-                );
-            }
+            this.renderManager.render(
+                this.sceneManager.getScene(),
+                this.cameraManager.getCameras(),
+                this.cameraManager.getSingleCamera()
+            );
         } catch (error) {
             console.error('❌ Render error:', error);
         }
@@ -709,4 +1033,43 @@ export class CakeApp {
     getBrightness() {
         return this.renderManager.getExposure();
     }
+    
+    /**
+     * Tear the app down: stop the animation loop, remove every listener and free
+     * all GPU resources. The page's HTML (canvas, controls) is left in place, so a
+     * single-page shell can mount another experience - or this one again - on it.
+     * Usage in console: window.app.dispose()
+     */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        
+        cancelAnimationFrame(this.animationFrameId);
+        this.lifecycle.abort();
+        this.frameRenderer.cancel();
+        
+        // Song and flame
+        if (this.audio) {
+            this.audio.pause();
+            this.audio.removeAttribute('src');
+            this.audio.load();
+            this.audio = null;
+        }
+        if (this.flameEffect) {
+            this.flameEffect.dispose();
+            this.flameEffect = null;
+        }
+        
+        this.orbitController.stop();
+        this.tapDetector.dispose();
+        this.windowSync.dispose();
+        this.powerManager.dispose();
+        
+        // Scene before renderer: the scene's GPU resources are freed through it
+        this.sceneManager.dispose();
+        this.cameraManager.dispose();
+        this.renderManager.dispose();
+        
+        console.log('🗑️  App disposed');
+    }
 }
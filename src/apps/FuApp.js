@@ -1,13 +1,18 @@
 import * as THREE from 'three';
+import { gsap } from 'gsap';
 import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
-import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { SceneManager } from '../core/SceneManager.js';
 import { CameraManager } from '../core/CameraManager.js';
 import { RenderManager } from '../core/RenderManager.js';
+import { PowerManager } from '../core/PowerManager.js';
 import { TapDetector } from '../features/TapDetector.js';
+import { OrbitController } from '../features/OrbitController.js';
+import { FrameSequenceRenderer } from '../features/FrameSequenceRenderer.js';
+import { PyramidApp, VIEW_URL_STATE } from './PyramidApp.js';
+
+// Settings shared through the URL hash (see UrlState)
+const URL_STATE_SCHEMA = VIEW_URL_STATE;
 
 /**
  * FuApp - Happy Birthday 3D Text Application
@@ -16,13 +21,14 @@ import { TapDetector } from '../features/TapDetector.js';
  * - Three floating 3D text orbs: "Fu", "Fu", "Rong" with RGB colors
  * - 3D text "Happy Birthday Fu" revealed after explosion
  * - Emissive glow and bloom post-processing
- * - Four quadrant Pepper Ghost view + Single view with bloom
+ * - Four quadrant Pepper Ghost view + Single view, both with bloom
  * - Tap detection for energy charging (3 taps to reveal)
  * - Long press to reset
  * - Dynamic rotation and floating animations
  */
-export class FuApp {
+export class FuApp extends PyramidApp {
     constructor() {
+        super();
         this.canvas = document.getElementById('canvas');
         
         if (!this.canvas) {
@@ -30,11 +36,17 @@ export class FuApp {
             return;
         }
         
+        // Every DOM listener the app adds is bound to this signal, dispose() aborts it
+        this.lifecycle = new AbortController();
+        this.animationFrameId = null;
+        this.disposed = false;
+        
         // Energy charging state
         this.tapCount = 0;           // Tap counter (0-2, triggering 2nd and 3rd orbs)
         this.isRevealed = false;     // Text fully revealed flag
         this.isAnimating = false;    // Animation starts after reveal
         this.isExploding = false;    // Explosion animation in progress
+        this.sequenceCalls = [];     // Pending gsap.delayedCall steps (explosion delay, scripted reveal)
         
         // Animation time for dynamic effects
         this.animationTime = 0;
@@ -48,10 +60,6 @@ export class FuApp {
         // Model center
         this.modelCenter = new THREE.Vector3(0, 0, 0);
         
-        // Post-processing
-        this.composer = null;
-        this.bloomPass = null;
-        
         // Bloom parameters (constants)
         this.BLOOM_STRENGTH = 1.5;
         this.BLOOM_RADIUS = 0.4;
@@ -65,11 +73,14 @@ export class FuApp {
         // Initialize managers
         this.renderManager = new RenderManager(this.canvas);
         this.sceneManager = new SceneManager(this.renderManager.getRenderer());
-        this.cameraManager = new CameraManager(0, 6.8);  // Use horizontal angle (0°) for FuApp, distance 6.8
+        this.cameraManager = new CameraManager(0, 6.8);  // Use horizontal angle (0°) for FuApp, distance 6.8 until the text is framed
         
         // ✅ Set quadrant mode to unified-front (all cameras face same direction for 3D text)
         this.cameraManager.setQuadrantMode('unified-front');
         
+        // Apply this device's saved pyramid calibration (viewport size, gap, FOV)
+        this.restoreCalibration();
+        
         // View mode state
         this.viewMode = 'quadrant';
         
@@ -90,6 +101,17 @@ export class FuApp {
         this.setupAudio();
         this.setupControls();
         this.setupViewToggle();
+        this.setupCameraInteraction();
+        this.setupFrameRenderer();
+        
+        // Restore settings from a shared link
+        this.restoreUrlState(URL_STATE_SCHEMA);
+        
+        // Face windows (?face=N) follow the primary window
+        this.setupWindowSync();
+        
+        // Pause when hidden, frame cap, idle dimming, wake lock
+        this.setupPowerManagement();
         
         // Create energy text orbs (Fu, Fu, Rong - first one visible initially)
         this.createEnergyOrbs();
@@ -110,44 +132,23 @@ export class FuApp {
             }
         };
         ['fullscreenchange', 'webkitfullscreenchange', 'mozfullscreenchange', 'MSFullscreenChange'].forEach(ev => {
-            document.addEventListener(ev, applyFsClass);
+            document.addEventListener(ev, applyFsClass, { signal: this.lifecycle.signal });
         });
     }
     
     /**
      * Setup post-processing with bloom effect
-     * Only used in single view mode
+     * RenderManager runs the same stack for single view and every face (at face resolution)
      */
     setupPostProcessing() {
-        const renderer = this.renderManager.getRenderer();
-        const scene = this.sceneManager.getScene();
-        const camera = this.cameraManager.getSingleCamera();
-        
-        // Create EffectComposer
-        this.composer = new EffectComposer(renderer);
-        
-        // Add render pass
-        const renderPass = new RenderPass(scene, camera);
-        this.composer.addPass(renderPass);
-        
-        // Add bloom pass
-        this.bloomPass = new UnrealBloomPass(
-            new THREE.Vector2(window.innerWidth, window.innerHeight),
-            this.BLOOM_STRENGTH,  // strength
-            this.BLOOM_RADIUS,    // radius
-            this.BLOOM_THRESHOLD  // threshold (only bright parts bloom)
-        );
-        this.composer.addPass(this.bloomPass);
-        
-        // Inject composer into RenderManager
-        this.renderManager.setComposer(this.composer);
-        
-        // ✅ Initialize 4 independent composers for quadrant mode (prevents state pollution)
-        this.renderManager.initializeQuadrantComposers(
-            scene,
-            this.cameraManager.getCameras(),
-            this.composer
-        );
+        this.renderManager.setPostProcessing([
+            {
+                type: 'bloom',
+                strength: this.BLOOM_STRENGTH,
+                radius: this.BLOOM_RADIUS,
+                threshold: this.BLOOM_THRESHOLD  // Only bright parts bloom
+            }
+        ]);
         
         console.log('✅ Post-processing setup complete (Bloom enabled for both single and quadrant views)');
     }
@@ -266,6 +267,7 @@ export class FuApp {
             const font = await loader.loadAsync(
                 'https://cdn.jsdelivr.net/gh/DeweiChen/PepperGhostEffect/public/assets/fredoka_light_regular.json'
             );
+            if (this.disposed) return;
             
             // Create text geometry
             const geometry = new TextGeometry('Happy Birthday Fu', {
@@ -307,6 +309,7 @@ export class FuApp {
             
             // Update camera to look at text center
             this.cameraManager.setLookAtTarget(this.modelCenter);
+            this.frameObject(this.textMesh);
             
         } catch (error) {
             console.error('❌ Failed to create 3D text:', error);
@@ -334,6 +337,7 @@ export class FuApp {
             console.error('❌ Failed to load font for energy orbs:', error);
             return;
         }
+        if (this.disposed) return;
         
         // Text labels for 3 orbs
         const texts = ['Fu', 'Rong', 'Yang'];
@@ -396,12 +400,14 @@ export class FuApp {
     setupTapDetection() {
         this.tapDetector.on('required-tap', (event) => {
             this.onTapCharge();
+            this.windowSync.emit('tap');
         });
         
         // Long press to reset entire sequence
         this.tapDetector.on('long-press', () => {
             console.log('⏱️ Long press detected! Resetting energy sequence...');
             this.resetEnergySequence();
+            this.windowSync.emit('reset-sequence');
         });
     }
     
@@ -431,10 +437,46 @@ export class FuApp {
         } else if (this.tapCount === 3) {
             // Third tap: Trigger explosion
             this.playHapticFeedback(3);
-            setTimeout(() => {
+            this.sequenceCalls.push(gsap.delayedCall(0.5, () => {  // Small delay for dramatic effect
                 this.playExplosionSound(0.6);  // Play explosion sound (ID 446111)
                 this.triggerExplosion();
-            }, 500);  // Small delay for dramatic effect
+            }));
+        }
+    }
+    
+    /**
+     * Play the whole reveal without taps: Fu -> Rong -> explosion -> breathing text
+     * Timed with GSAP so the offline frame renderer plays it identically every time.
+     * Usage in console: window.app.playRevealSequence()
+     */
+    playRevealSequence() {
+        this.resetEnergySequence();
+        if (this.textMesh) this.textMesh.position.y = 0;
+        
+        // Taps past the third are ignored, so live taps can't interrupt the script
+        this.tapCount = 3;
+        this.sequenceCalls.push(
+            gsap.delayedCall(0.5, () => this.showOrb(1)),
+            gsap.delayedCall(1.0, () => this.showOrb(2)),
+            gsap.delayedCall(1.5, () => this.triggerExplosion())
+        );
+        
+        // Face windows play along (offline renders stay local)
+        if (!this.frameRenderer.isRendering) this.windowSync.emit('reveal');
+    }
+    
+    /**
+     * Stop spawn / explosion animations and pending sequence steps
+     */
+    stopSequenceAnimations() {
+        this.sequenceCalls.forEach(call => call.kill());
+        this.sequenceCalls = [];
+        
+        this.energyOrbs.forEach(orb => {
+            gsap.killTweensOf([orb.scale, orb.position, orb.material]);
+        });
+        if (this.textMesh) {
+            gsap.killTweensOf([this.textMesh.scale, this.textMesh.material]);
         }
     }
     
@@ -449,22 +491,13 @@ export class FuApp {
         orb.scale.set(0, 0, 0);  // Start from zero
         
         // Animate scale up
-        const startTime = Date.now();
-        const duration = 300;
-        
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const scale = this.easeOutBack(progress);
-            
-            orb.scale.setScalar(scale);
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
-        
-        animate();
+        gsap.to(orb.scale, {
+            x: 1,
+            y: 1,
+            z: 1,
+            duration: 0.3,
+            ease: (t) => this.easeOutBack(t)
+        });
         console.log(`🔮 Text ${index + 1} spawned (${['Fu', 'Fu', 'Rong'][index]})`);
     }
     
@@ -476,40 +509,25 @@ export class FuApp {
         console.log('💥 Triggering explosion sequence...');
         this.isExploding = true;
         
-        const startTime = Date.now();
-        const convergeDuration = 500;  // 0.5s to converge
-        const flashDuration = 100;     // 0.1s flash
-        
-        // Store initial positions
-        const initialPositions = this.energyOrbs.map(orb => orb.position.clone());
-        
-        // Convergence animation
-        const convergeAnimation = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / convergeDuration, 1);
-            const eased = this.easeInCubic(progress);
-            
-            // Move orbs toward center
-            this.energyOrbs.forEach((orb, i) => {
-                orb.position.lerpVectors(
-                    initialPositions[i],
-                    new THREE.Vector3(0, 0, 0),
-                    eased
-                );
-                
-                // Increase glow as they converge
-                orb.material.emissiveIntensity = 2 + eased * 5;
-            });
-            
-            if (progress < 1) {
-                requestAnimationFrame(convergeAnimation);
-            } else {
+        const convergeDuration = 0.5;  // 0.5s to converge
+        const ease = (t) => this.easeInCubic(t);
+        
+        // Move orbs toward center, increasing glow as they converge
+        this.energyOrbs.forEach((orb, i) => {
+            gsap.to(orb.position, {
+                x: 0,
+                y: 0,
+                z: 0,
+                duration: convergeDuration,
+                ease,
                 // Convergence complete -> Flash
-                this.flashExplosion();
-            }
-        };
-        
-        convergeAnimation();
+                onComplete: i === 0 ? () => this.flashExplosion() : undefined
+            });
+            gsap.fromTo(orb.material,
+                { emissiveIntensity: 2 },
+                { emissiveIntensity: 7, duration: convergeDuration, ease }
+            );
+        });
     }
     
     /**
@@ -534,32 +552,27 @@ export class FuApp {
             this.textMesh.material.emissiveIntensity = 3;  // Bright flash from text itself
             
             // Explosive scale-up animation
-            const startTime = Date.now();
-            const duration = 400;
+            const duration = 0.4;
+            gsap.to(this.textMesh.scale, {
+                x: 1,
+                y: 1,
+                z: 1,
+                duration,
+                ease: (t) => this.easeOutBack(t)
+            });
             
-            const scaleUp = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                const scale = this.easeOutBack(progress);
-                
-                this.textMesh.scale.setScalar(scale);
-                
-                // Fade emissive back to target 0.2
-                this.textMesh.material.emissiveIntensity = 3 - (progress * (3 - targetEmissive));
-                
-                if (progress < 1) {
-                    requestAnimationFrame(scaleUp);
-                } else {
-                    // Animation complete - ensure it's exactly 0.2
-                    this.textMesh.material.emissiveIntensity = targetEmissive;
+            // Fade emissive back to target 0.2
+            gsap.to(this.textMesh.material, {
+                emissiveIntensity: targetEmissive,
+                duration,
+                ease: 'none',
+                onComplete: () => {
                     this.isAnimating = true;  // Start breathing animation
                     this.isRevealed = true;
                     this.isExploding = false;
                     console.log('🎉 Text revealed! Animation started.');
                 }
-            };
-            
-            scaleUp();
+            });
         }
         
         // Strong haptic feedback
@@ -590,6 +603,8 @@ export class FuApp {
      * Called by long press
      */
     resetEnergySequence() {
+        this.stopSequenceAnimations();
+        
         // Reset state
         this.tapCount = 0;
         this.isRevealed = false;
@@ -647,13 +662,13 @@ export class FuApp {
         this.renderManager.onResizeCallback((width, height) => {
             this.cameraManager.handleResize(width, height);
             
-            // Update composer size if it exists
-            if (this.composer) {
-                this.composer.setSize(width, height);
-            }
-            
             console.log(`📱 Window resized to: ${width}x${height}`);
         });
+        
+        // WebGL context restored: the PMREM environment only existed on the GPU
+        this.renderManager.onContextRestoredCallback(() => {
+            this.sceneManager.rebuildEnvironment();
+        });
     }
     
     /**
@@ -673,7 +688,7 @@ export class FuApp {
             } else {
                 alert('❌ Permission denied. Tap detection requires motion sensor access.');
             }
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Lighting mode functionality preserved (call via window.app.sceneManager.toggleLightingMode())
         
@@ -683,25 +698,29 @@ export class FuApp {
             const currentMode = this.cameraManager.getQuadrantMode();
             const newMode = currentMode === 'unified-front' ? 'pepper-ghost' : 'unified-front';
             
-            if (this.cameraManager.setQuadrantMode(newMode)) {
-                // ✅ Re-initialize quadrant composers with new camera setup
-                this.renderManager.initializeQuadrantComposers(
-                    this.sceneManager.getScene(),
-                    this.cameraManager.getCameras(),
-                    this.composer
-                );
-                
-                // Update button text and style
-                if (newMode === 'unified-front') {
-                    quadrantModeBtn.textContent = '🔄 Switch to Pepper Ghost Mode';
-                    quadrantModeBtn.className = 'unified-mode';
-                } else {
-                    quadrantModeBtn.textContent = '🔄 Switch to Unified Front Mode';
-                    quadrantModeBtn.className = 'pepper-ghost-mode';
-                }
-                console.log(`✅ Quadrant mode: ${newMode} (composers re-initialized)`);
+            if (this.cameraManager.setQuadrantMode(newMode, { animate: true })) {
+                this.updateQuadrantModeButton(newMode);
+                console.log(`✅ Quadrant mode: ${newMode}`);
             }
-        });
+        }, { signal: this.lifecycle.signal });
+        
+        // Pyramid face count (triangular, square, hexagonal, octagonal)
+        const faceCountSelect = document.getElementById('faceCountSelect');
+        faceCountSelect.addEventListener('change', (e) => {
+            this.cameraManager.setFaceCount(parseInt(e.target.value, 10));
+        }, { signal: this.lifecycle.signal });
+        
+        // Face camera projection (orthographic removes perspective distortion)
+        const projectionSelect = document.getElementById('projectionSelect');
+        projectionSelect.addEventListener('change', (e) => {
+            this.cameraManager.setProjectionMode(e.target.value);
+        }, { signal: this.lifecycle.signal });
+        
+        // Viewport layout (radial pyramid, multi-monitor grid, single sheet, triangle)
+        const layoutSelect = document.getElementById('layoutSelect');
+        layoutSelect.addEventListener('change', (e) => {
+            this.setLayout(e.target.value);
+        }, { signal: this.lifecycle.signal });
         
         // Camera distance control
         const cameraDistanceSlider = document.getElementById('cameraDistance');
@@ -711,9 +730,9 @@ export class FuApp {
             const distance = parseFloat(e.target.value);
             this.cameraManager.updateDistance(distance);
             distanceValue.textContent = distance.toFixed(1);
-        });
+        }, { signal: this.lifecycle.signal });
         
-        // Bloom strength control (only affects single view)
+        // Bloom strength control (single view and every face)
         const bloomStrengthSlider = document.getElementById('bloomStrength');
         const bloomValue = document.getElementById('bloomValue');
         
@@ -722,20 +741,20 @@ export class FuApp {
                 const strength = parseFloat(e.target.value);
                 this.setBloomStrength(strength);
                 bloomValue.textContent = strength.toFixed(1);
-            });
+            }, { signal: this.lifecycle.signal });
         }
         
         // Reset button
         const resetBtn = document.getElementById('resetBtn');
         resetBtn.addEventListener('click', () => {
             this.reset();
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Fullscreen button
         const fullscreenBtn = document.getElementById('fullscreenBtn');
         fullscreenBtn.addEventListener('click', () => {
             this.toggleFullscreen();
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Keyboard controls
         window.addEventListener('keydown', (e) => {
@@ -753,32 +772,238 @@ export class FuApp {
                 case 'f':
                     this.toggleFullscreen();
                     break;
+                case 'c':
+                    this.toggleCalibrationOverlay();
+                    break;
+                case 'p':
+                    this.exportImage();
+                    break;
             }
-        });
+        }, { signal: this.lifecycle.signal });
     }
     
     /**
      * Setup view toggle (quadrant/single)
-     * Single view uses bloom, quadrant view uses direct rendering
      */
     setupViewToggle() {
         const viewToggleBtn = document.getElementById('viewToggleBtn');
         
         viewToggleBtn.addEventListener('click', () => {
             this.viewMode = this.viewMode === 'quadrant' ? 'single' : 'quadrant';
-            this.renderManager.setViewMode(this.viewMode);
+            this.renderManager.setViewMode(this.viewMode, { animate: true });
             viewToggleBtn.textContent = this.viewMode === 'quadrant' ? 'Single View' : 'Quadrant View';
             
-            console.log(`👁️  View mode: ${this.viewMode} ${this.viewMode === 'single' ? '(Bloom ON)' : '(Bloom OFF)'}`);
+            console.log(`👁️  View mode: ${this.viewMode}`);
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('overlayBtn').addEventListener('click', () => {
+            this.toggleCalibrationOverlay();
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportImage();
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('renderLoopBtn').addEventListener('click', () => {
+            this.renderLoop();
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('faceWindowBtn').addEventListener('click', () => {
+            this.openFaceWindow(parseInt(document.getElementById('faceWindowSelect').value, 10));
+        }, { signal: this.lifecycle.signal });
+    }
+    
+    setupCameraInteraction() {
+        // Single View orbit: drag with inertia, wheel/pinch zoom, two-finger pan, double tap to re-frame
+        this.orbitController = new OrbitController({
+            cameraManager: this.cameraManager,
+            element: this.canvas,
+            isEnabled: () => this.viewMode === 'single',
+            onDoubleTap: () => this.reframe()
+        });
+        this.orbitController.start();
+    }
+    
+    setupFrameRenderer() {
+        // Offline video loops of the reveal: steps stepAnimation() and GSAP with a fixed timestep
+        this.frameRenderer = new FrameSequenceRenderer({
+            renderManager: this.renderManager,
+            sceneManager: this.sceneManager,
+            cameraManager: this.cameraManager,
+            step: (deltaSeconds) => this.stepAnimation(deltaSeconds),
+            prepare: () => this.playRevealSequence()
         });
     }
     
+    setupWindowSync() {
+        // ?face=N: this window shows one face full-window, driven by the primary window
+        const isFaceWindow = this.setupFaceWindow({
+            channel: 'pepper-ghost-fu',
+            interpolate: ['animationTime']
+        });
+        if (!isFaceWindow) return;
+        
+        // The primary window plays the sounds
+        this.audioContext?.close();
+        this.audioContext = null;
+        
+        // Tap sequence: replayed on the primary's timeline, GSAP tweens run locally
+        this.windowSync.on('tap', () => this.onTapCharge());
+        this.windowSync.on('reset-sequence', () => this.resetEnergySequence());
+        this.windowSync.on('reset', () => this.reset());
+        this.windowSync.on('reveal', () => this.playRevealSequence());
+    }
+    
+    setupPowerManagement() {
+        // The orbs always move, so the show is always on (wake lock held while visible)
+        this.powerManager = new PowerManager({
+            renderManager: this.renderManager,
+            // Face windows get their dimming from the primary window (see applySyncState)
+            idleTimeout: this.windowSync.isFollower() ? 0 : 300
+        });
+        
+        // Knocks on the pyramid are interaction too
+        this.tapDetector.on('required-tap', () => this.powerManager.notifyActivity());
+        this.tapDetector.on('long-press', () => this.powerManager.notifyActivity());
+        
+        document.getElementById('frameCapSelect').addEventListener('change', (e) => {
+            this.powerManager.setMaxFps(parseInt(e.target.value, 10));
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('idleDimSelect').addEventListener('change', (e) => {
+            this.powerManager.setIdleDimming({ timeout: parseInt(e.target.value, 10) });
+        }, { signal: this.lifecycle.signal });
+    }
+    
+    /**
+     * State sent to face windows every frame (see WindowSync)
+     */
+    getSyncState() {
+        return {
+            ...super.getSyncState(),
+            animationTime: this.animationTime,
+            animating: this.isAnimating,
+            tapCount: this.tapCount,
+            revealed: this.isRevealed,
+            exploding: this.isExploding
+        };
+    }
+    
+    /**
+     * Face window: take over the primary window's state
+     * @param {Object} state - From getSyncState() (animation time / dim interpolated)
+     */
+    applySyncState(state) {
+        super.applySyncState(state);
+        
+        this.animationTime = state.animationTime;
+        this.isAnimating = state.animating;
+        
+        // Windows opened mid-sequence (or that dropped events) catch up on the tap sequence.
+        // Only when neither side is exploding: the local replay finishes a frame or two apart.
+        const ready = this.textMesh && this.energyOrbs.length === 3;
+        if (ready && !state.exploding && !this.isExploding &&
+            (this.tapCount !== state.tapCount || this.isRevealed !== state.revealed)) {
+            this.snapSequence(state.tapCount, state.revealed);
+        }
+    }
+    
+    /**
+     * Jump to a point of the tap sequence without animation (face window catch-up)
+     * @param {number} tapCount - Taps so far (0-3)
+     * @param {boolean} revealed - Text revealed
+     */
+    snapSequence(tapCount, revealed) {
+        this.stopSequenceAnimations();
+        
+        this.tapCount = tapCount;
+        this.isRevealed = revealed;
+        this.isExploding = false;
+        
+        this.textMesh.visible = revealed;
+        this.textMesh.scale.setScalar(1);
+        this.textMesh.material.emissiveIntensity = 0.2;
+        
+        // One more orb per tap, all of them gone once the text is revealed
+        this.energyOrbs.forEach((orb, i) => {
+            orb.visible = !revealed && i <= tapCount;
+            orb.position.copy(orb.userData.homePosition);
+            orb.scale.setScalar(1);
+            orb.material.emissiveIntensity = 1.0;
+        });
+        console.log(`🪟 Tap sequence synced (${revealed ? 'revealed' : `tap ${tapCount}/3`})`);
+    }
+    
+    /**
+     * Show / hide the alignment overlay used to place the pyramid (quadrant view only)
+     */
+    toggleCalibrationOverlay() {
+        const enabled = !this.renderManager.isCalibrationOverlayEnabled();
+        this.renderManager.setCalibrationOverlay(enabled);
+        
+        const btn = document.getElementById('overlayBtn');
+        if (btn) btn.textContent = enabled ? 'Hide Overlay' : 'Alignment Overlay';
+    }
+    
+    /**
+     * Download a PNG of the current view at the size chosen in the export controls
+     * Usage in console: window.app.exportImage({ width: 8192, height: 8192, transparent: true })
+     * @param {Object} [options] - Overrides for RenderManager.exportImage (width, height, transparent, filename)
+     * @returns {Promise<Blob|null>}
+     */
+    exportImage(options = {}) {
+        const [width, height] = document.getElementById('exportSizeSelect').value.split('x').map(Number);
+        const transparent = document.getElementById('exportBackgroundSelect').value === 'transparent';
+        
+        return this.renderManager.exportImage(
+            this.sceneManager.getScene(),
+            this.cameraManager.getCameras(),
+            this.cameraManager.getSingleCamera(),
+            { width, height, transparent, ...options }
+        );
+    }
+    
+    /**
+     * Render the reveal as a seamless video loop of the quadrant layout with the settings
+     * chosen in the loop controls. Clicking the button again while rendering cancels.
+     * Usage in console: window.app.renderLoop({ width: 1080, height: 1080, frames: 120, transparent: true })
+     * @param {Object} [options] - Overrides for FrameSequenceRenderer.render
+     * @returns {Promise<Blob|null>}
+     */
+    async renderLoop(options = {}) {
+        const btn = document.getElementById('renderLoopBtn');
+        if (this.frameRenderer.isRendering) {
+            this.frameRenderer.cancel();
+            return null;
+        }
+        
+        const [width, height] = document.getElementById('loopSizeSelect').value.split('x').map(Number);
+        const fps = parseInt(document.getElementById('loopFpsSelect').value);
+        const seconds = parseFloat(document.getElementById('loopDurationSelect').value);
+        
+        try {
+            return await this.frameRenderer.render({
+                width, height, fps,
+                frames: Math.round(seconds * fps),
+                loop: true,
+                onProgress: (frame, total) => {
+                    btn.textContent = `Rendering ${frame}/${total} (click to cancel)`;
+                },
+                ...options
+            });
+        } finally {
+            btn.textContent = 'Render Loop';
+        }
+    }
+    
     /**
      * Reset camera and animation state
      * Returns to initial state: Only red orb visible
      */
     reset() {
         console.log('🔄 Reset triggered...');
+        this.stopSequenceAnimations();
+        this.windowSync.emit('reset');
         
         // Reset animation time and transforms
         this.animationTime = 0;
@@ -817,13 +1042,9 @@ export class FuApp {
         this.isAnimating = false;
         this.isExploding = false;
         
-        // Reset UI controls
-        const cameraDistanceSlider = document.getElementById('cameraDistance');
-        const distanceValue = document.getElementById('distanceValue');
-        if (cameraDistanceSlider && distanceValue) {
-            cameraDistanceSlider.value = 6.8;
-            distanceValue.textContent = '6.8';
-        }
+        // Reset UI controls (distance framed from the text bounds)
+        this.cameraManager.updateDistance(this.cameraManager.getDefaultDistance());
+        this.syncDistanceControl(this.cameraManager.getDefaultDistance());
         
         // Reset bloom strength
         const bloomStrengthSlider = document.getElementById('bloomStrength');
@@ -873,10 +1094,11 @@ export class FuApp {
     }
     
     /**
-     * Animation loop
+     * Advance orb and text animation by a time step (the live loop uses the frame time, the frame renderer 1/fps)
+     * @param {number} deltaSeconds
      */
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    stepAnimation(deltaSeconds) {
+        const timeStep = 0.016 * deltaSeconds * 60;  // animationTime advances 0.016 per ~60fps frame
         
         // Rotate visible orbs
         if (!this.isExploding) {
@@ -905,8 +1127,8 @@ export class FuApp {
         
         // Text breathing animation (after reveal)
         if (this.isAnimating && this.textMesh && this.textMesh.visible) {
-            // Update animation time (~60fps)
-            this.animationTime += 0.016;
+            // Update animation time
+            this.animationTime += timeStep;
             const t = this.animationTime;
             
             // Breathing scale effect (gentle size pulsing)
@@ -920,24 +1142,49 @@ export class FuApp {
             // this.textMesh.material.emissiveIntensity = 0.2 + 0.08 * Math.sin(t * 1.5);
         } else if (!this.isAnimating) {
             // Still update time for orb animations
-            this.animationTime += 0.016;
+            this.animationTime += timeStep;
+        }
+    }
+    
+    /**
+     * Animation loop
+     */
+    animate() {
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        
+        // Nothing to draw into while the GPU is reclaimed (RenderManager shows a status message)
+        if (this.renderManager.isContextLost()) return;
+        
+        // The frame renderer drives the animation while a video loop renders
+        if (this.frameRenderer.isRendering) return;
+        
+        // Hidden page or frame cap: skip this frame
+        const deltaSeconds = this.powerManager.frame();
+        if (deltaSeconds === null) return;
+        
+        if (this.windowSync.isFollower()) {
+            // Face window: the primary window's animation time at this frame's playout
+            // time - pose orbs and text from it without advancing
+            this.windowSync.update();
+            this.stepAnimation(0);
+        } else {
+            this.stepAnimation(deltaSeconds);
+            this.windowSync.publish(this.getSyncState());
+            
+            // Single View orbit inertia
+            this.orbitController.update();
+            
+            // Keep the URL hash in sync with the current settings
+            this.urlState.sync(this.getUrlState());
         }
         
         // Render
         try {
-            if (this.viewMode === 'single') {
-                const camera = this.cameraManager.getSingleCamera();
-                this.renderManager.renderSingle(
-                    this.sceneManager.getScene(),
-                    camera
-                );
-            } else {
-                this.renderManager.renderQuadrants(
-                    this.sceneManager.getScene(),
-                    this.cameraManager.getCameras(),
-                    this.composer  // ✅ Pass composer for bloom effect in quadrant view
-                );
-            }
+            this.renderManager.render(
+                this.sceneManager.getScene(),
+                this.cameraManager.getCameras(),
+                this.cameraManager.getSingleCamera()
+            );
         } catch (error) {
             console.error('❌ Render error:', error);
         }
@@ -948,12 +1195,7 @@ export class FuApp {
      * @param {number} value - Bloom strength (0-5)
      */
     setBloomStrength(value) {
-        if (this.bloomPass) {
-            this.bloomPass.strength = value;
-        }
-        
-        // ✅ Also update all quadrant composers
-        this.renderManager.updateQuadrantBloom(value, this.BLOOM_RADIUS, this.BLOOM_THRESHOLD);
+        this.renderManager.updatePostPass('bloom', { strength: value });
         
         console.log(`✨ Bloom strength set to: ${value} (both single and quadrant views)`);
     }
@@ -987,4 +1229,64 @@ export class FuApp {
             console.log('💡 Text glow: ON');
         }
     }
+    
+    /**
+     * Re-center and re-frame the text (double tap in Single View)
+     */
+    reframe() {
+        this.frameObject(this.textMesh, { recenter: true });
+    }
+    
+    /**
+     * Update quadrant mode button text and style
+     * @param {string} mode - 'unified-front' or 'pepper-ghost'
+     */
+    updateQuadrantModeButton(mode) {
+        const quadrantModeBtn = document.getElementById('quadrantModeBtn');
+        if (mode === 'unified-front') {
+            quadrantModeBtn.textContent = '🔄 Switch to Pepper Ghost Mode';
+            quadrantModeBtn.className = 'unified-mode';
+        } else {
+            quadrantModeBtn.textContent = '🔄 Switch to Unified Front Mode';
+            quadrantModeBtn.className = 'pepper-ghost-mode';
+        }
+    }
+    
+    onQuadrantModeChange(mode) {
+        this.updateQuadrantModeButton(mode);
+    }
+    
+    /**
+     * Tear the app down: stop the animation loop, remove every listener and free
+     * all GPU resources. The page's HTML (canvas, controls) is left in place, so a
+     * single-page shell can mount another experience - or this one again - on it.
+     * Usage in console: window.app.dispose()
+     */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        
+        cancelAnimationFrame(this.animationFrameId);
+        this.lifecycle.abort();
+        this.frameRenderer.cancel();
+        
+        // Tap sequence / reveal tweens and sounds
+        this.stopSequenceAnimations();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        
+        this.orbitController.stop();
+        this.tapDetector.dispose();
+        this.windowSync.dispose();
+        this.powerManager.dispose();
+        
+        // Scene before renderer: the scene's GPU resources are freed through it
+        this.sceneManager.dispose();
+        this.cameraManager.dispose();
+        this.renderManager.dispose();
+        
+        console.log('🗑️  App disposed');
+    }
 }
@@ -1,10 +1,24 @@
 import { SceneManager } from '../core/SceneManager.js';
 import { CameraManager } from '../core/CameraManager.js';
 import { RenderManager } from '../core/RenderManager.js';
+import { PowerManager } from '../core/PowerManager.js';
+import { ModelFileSet } from '../core/ModelFileSet.js';
 import { TapDetector } from '../features/TapDetector.js';
+import { OrbitController } from '../features/OrbitController.js';
+import { FrameSequenceRenderer } from '../features/FrameSequenceRenderer.js';
+import { PyramidApp, VIEW_URL_STATE, MOTION_URL_STATE, ENVIRONMENT_URL_STATE } from './PyramidApp.js';
 
-export class PepperGhostApp {
+// Settings shared through the URL hash (see UrlState)
+const URL_STATE_SCHEMA = {
+    ...VIEW_URL_STATE,
+    ...MOTION_URL_STATE,
+    shape: ['torusKnot', 'sphere', 'cube', 'dodecahedron'],
+    ...ENVIRONMENT_URL_STATE
+};
+
+export class PepperGhostApp extends PyramidApp {
     constructor() {
+        super();
         this.canvas = document.getElementById('canvas');
         
         // Check if canvas exists
@@ -13,6 +27,11 @@ export class PepperGhostApp {
             return;
         }
         
+        // Every DOM listener the app adds is bound to this signal, dispose() aborts it
+        this.lifecycle = new AbortController();
+        this.animationFrameId = null;
+        this.disposed = false;
+        
         this.rotationSpeed = 0.005;
         this.isAnimating = true;
         
@@ -20,6 +39,14 @@ export class PepperGhostApp {
         this.renderManager = new RenderManager(this.canvas);
         this.sceneManager = new SceneManager(this.renderManager.getRenderer());
         this.cameraManager = new CameraManager();
+
+        // Fit every loaded model into the faces (replaces hand-tuned camera distance)
+        this.sceneManager.onModelLoadedCallback((model) => this.frameObject(model));
+        // Shapes keep the current distance, the orthographic frustum still follows their bounds
+        this.sceneManager.onObjectChangeCallback((object) => this.cameraManager.setObjectBounds(object));
+        
+        // Apply this device's saved pyramid calibration (viewport size, gap, FOV)
+        this.restoreCalibration();
         
         // View mode state
         this.viewMode = 'quadrant'; // 'quadrant' or 'single'
@@ -45,8 +72,20 @@ export class PepperGhostApp {
         
         // Setup controls
         this.setupControls();
+        this.setupFaceTuning();
         this.setupViewToggle();
         this.setupCameraInteraction();
+        this.setupModelDrop();
+        this.setupFrameRenderer();
+        
+        // Restore settings from a shared link
+        this.restoreUrlState(URL_STATE_SCHEMA);
+        
+        // Face windows (?face=N) follow the primary window
+        this.setupWindowSync();
+        
+        // Pause when hidden, frame cap, idle dimming, wake lock
+        this.setupPowerManagement();
         
         // Start animation loop
         this.animate();
@@ -66,48 +105,72 @@ export class PepperGhostApp {
             } else {
                 alert('❌ Permission denied. Tap detection requires motion sensor access.');
             }
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Lighting mode toggle
         const lightingToggleBtn = document.getElementById('lightingToggleBtn');
         lightingToggleBtn.addEventListener('click', () => {
-            const newMode = this.sceneManager.toggleLightingMode();
-            if (newMode === 'ibl') {
-                lightingToggleBtn.textContent = '💡 IBL Lighting (ModelViewer)';
-                lightingToggleBtn.className = 'ibl-mode';
-            } else {
-                lightingToggleBtn.textContent = '💡 Legacy Lighting (Simple)';
-                lightingToggleBtn.className = 'legacy-mode';
+            this.sceneManager.toggleLightingMode();
+            this.syncEnvironmentControls();
+        }, { signal: this.lifecycle.signal });
+        
+        // IBL environment: presets, .hdr/.exr files, rotation and intensity
+        // (controls follow every change through syncEnvironmentControls)
+        this.sceneManager.onEnvironmentChangeCallback(() => this.syncEnvironmentControls());
+        
+        document.getElementById('environmentSelect').addEventListener('change', (e) => {
+            this.sceneManager.setEnvironment(e.target.value);
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('environmentFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            if (!(await this.sceneManager.setEnvironment(file))) {
+                alert(`Failed to load environment ${file.name} - .hdr or .exr images only (see console)`);
             }
-        });
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('envRotation').addEventListener('input', (e) => {
+            this.sceneManager.setEnvironmentRotation(parseFloat(e.target.value));
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('envIntensity').addEventListener('input', (e) => {
+            this.sceneManager.setEnvironmentIntensity(parseFloat(e.target.value));
+        }, { signal: this.lifecycle.signal });
         
         // Shape selection
         const shapeSelect = document.getElementById('shapeSelect');
         shapeSelect.addEventListener('change', (e) => {
             this.sceneManager.updateMesh(e.target.value);
-        });
-        
-        // GLB file loading
+        }, { signal: this.lifecycle.signal });
+        
+        // Pyramid face count (triangular, square, hexagonal, octagonal)
+        const faceCountSelect = document.getElementById('faceCountSelect');
+        faceCountSelect.addEventListener('change', (e) => {
+            this.cameraManager.setFaceCount(parseInt(e.target.value, 10));
+            this.refreshFaceTuning();
+        }, { signal: this.lifecycle.signal });
+        
+        // Face camera projection (orthographic removes perspective distortion)
+        const projectionSelect = document.getElementById('projectionSelect');
+        projectionSelect.addEventListener('change', (e) => {
+            this.cameraManager.setProjectionMode(e.target.value);
+        }, { signal: this.lifecycle.signal });
+        
+        // Viewport layout (radial pyramid, multi-monitor grid, single sheet, triangle)
+        const layoutSelect = document.getElementById('layoutSelect');
+        layoutSelect.addEventListener('change', (e) => {
+            this.setLayout(e.target.value);
+        }, { signal: this.lifecycle.signal });
+        
+        // Model file loading: a .glb, or a .gltf selected together with its .bin and textures
         const modelFileInput = document.getElementById('modelFile');
         
-        modelFileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            
-            if (!file.name.endsWith('.glb') && !file.name.endsWith('.gltf')) {
-                alert('Please select a .glb or .gltf file');
-                return;
-            }
-            
-            try {
-                await this.sceneManager.loadModelFromFile(file);
-                
-                // Reset shape selector
-                shapeSelect.value = '';
-            } catch (error) {
-                alert(`Failed to load model: ${error.message}`);
-            }
-        });
+        modelFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length === 0) return;
+            this.loadModelFiles(new ModelFileSet(e.target.files));
+        }, { signal: this.lifecycle.signal });
         
         // Rotation speed control
         const rotationSpeedSlider = document.getElementById('rotationSpeed');
@@ -116,7 +179,23 @@ export class PepperGhostApp {
         rotationSpeedSlider.addEventListener('input', (e) => {
             this.rotationSpeed = parseFloat(e.target.value);
             speedValue.textContent = this.rotationSpeed.toFixed(3);
-        });
+        }, { signal: this.lifecycle.signal });
+        
+        // Turntable: orbit the cameras instead of rotating the object
+        const rotationModeSelect = document.getElementById('rotationModeSelect');
+        rotationModeSelect.addEventListener('change', (e) => {
+            this.cameraManager.setTurntable({ enabled: e.target.value === 'turntable' });
+        }, { signal: this.lifecycle.signal });
+        
+        const turntableProfileSelect = document.getElementById('turntableProfileSelect');
+        turntableProfileSelect.addEventListener('change', (e) => {
+            this.cameraManager.setTurntable({ profile: e.target.value });
+        }, { signal: this.lifecycle.signal });
+        
+        const turntableDirectionSelect = document.getElementById('turntableDirectionSelect');
+        turntableDirectionSelect.addEventListener('change', (e) => {
+            this.cameraManager.setTurntable({ direction: parseInt(e.target.value, 10) });
+        }, { signal: this.lifecycle.signal });
         
         // Camera distance control
         const cameraDistanceSlider = document.getElementById('cameraDistance');
@@ -126,33 +205,33 @@ export class PepperGhostApp {
             const distance = parseFloat(e.target.value);
             this.cameraManager.updateDistance(distance);
             distanceValue.textContent = distance.toFixed(1);
-        });
+        }, { signal: this.lifecycle.signal });
         
                 // Reset button
         const resetBtn = document.getElementById('resetBtn');
         resetBtn.addEventListener('click', () => {
             this.resetCamera();
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Fullscreen button
         const fullscreenBtn = document.getElementById('fullscreenBtn');
         fullscreenBtn.addEventListener('click', () => {
             this.toggleFullscreen();
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Listen for fullscreen changes
         document.addEventListener('fullscreenchange', () => {
             this.handleFullscreenChange();
-        });
+        }, { signal: this.lifecycle.signal });
         document.addEventListener('webkitfullscreenchange', () => {
             this.handleFullscreenChange();
-        });
+        }, { signal: this.lifecycle.signal });
         document.addEventListener('mozfullscreenchange', () => {
             this.handleFullscreenChange();
-        });
+        }, { signal: this.lifecycle.signal });
         document.addEventListener('MSFullscreenChange', () => {
             this.handleFullscreenChange();
-        });
+        }, { signal: this.lifecycle.signal });
         
         // Keyboard controls
         document.addEventListener('keydown', (e) => {
@@ -167,8 +246,87 @@ export class PepperGhostApp {
                 case 'KeyF':
                     this.toggleFullscreen();
                     break;
+                case 'KeyC':
+                    this.toggleCalibrationOverlay();
+                    break;
+                case 'KeyP':
+                    this.exportImage();
+                    break;
             }
+        }, { signal: this.lifecycle.signal });
+    }
+    
+    /**
+     * Per-face camera offsets (saved for this device by CameraManager)
+     */
+    setupFaceTuning() {
+        const faceSelect = document.getElementById('faceTuningSelect');
+        const mirrorCheckbox = document.getElementById('faceMirror');
+        
+        // Slider id → override key
+        this.faceTuningSliders = [
+            { id: 'faceYaw', key: 'yaw', digits: 1 },
+            { id: 'facePitch', key: 'pitch', digits: 1 },
+            { id: 'faceRoll', key: 'roll', digits: 1 },
+            { id: 'faceFov', key: 'fov', digits: 1 },
+            { id: 'faceShiftX', key: 'shiftX', digits: 2 },
+            { id: 'faceShiftY', key: 'shiftY', digits: 2 }
+        ];
+        
+        this.faceTuningSliders.forEach(({ id, key, digits }) => {
+            const slider = document.getElementById(id);
+            const valueLabel = document.getElementById(`${id}Value`);
+            
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.cameraManager.setFaceOverride(parseInt(faceSelect.value, 10), { [key]: value });
+                valueLabel.textContent = value.toFixed(digits);
+            }, { signal: this.lifecycle.signal });
         });
+        
+        mirrorCheckbox.addEventListener('change', (e) => {
+            this.cameraManager.setFaceOverride(parseInt(faceSelect.value, 10), { mirror: e.target.checked });
+        }, { signal: this.lifecycle.signal });
+        
+        faceSelect.addEventListener('change', () => this.syncFaceTuningControls(), { signal: this.lifecycle.signal });
+        
+        document.getElementById('faceResetBtn').addEventListener('click', () => {
+            this.cameraManager.resetFaceOverrides(parseInt(faceSelect.value, 10));
+            this.syncFaceTuningControls();
+        }, { signal: this.lifecycle.signal });
+        
+        this.refreshFaceTuning();
+    }
+    
+    /**
+     * Rebuild face list after the face count changes
+     */
+    refreshFaceTuning() {
+        const faceSelect = document.getElementById('faceTuningSelect');
+        faceSelect.innerHTML = '';
+        
+        this.cameraManager.getCameras().forEach((camera, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = camera.name;
+            faceSelect.appendChild(option);
+        });
+        
+        this.syncFaceTuningControls();
+    }
+    
+    /**
+     * Show the selected face's saved offsets in the controls
+     */
+    syncFaceTuningControls() {
+        const index = parseInt(document.getElementById('faceTuningSelect').value, 10);
+        const override = this.cameraManager.getFaceOverride(index);
+        
+        this.faceTuningSliders.forEach(({ id, key, digits }) => {
+            document.getElementById(id).value = override[key];
+            document.getElementById(`${id}Value`).textContent = override[key].toFixed(digits);
+        });
+        document.getElementById('faceMirror').checked = override.mirror;
     }
     
     setupTapDetection() {
@@ -188,6 +346,29 @@ export class PepperGhostApp {
         console.log('🎯 TapDetector initialized:', this.tapDetector.getStatus());
     }
     
+    /**
+     * Reflect the lighting mode and environment in the controls
+     */
+    syncEnvironmentControls() {
+        const lightingToggleBtn = document.getElementById('lightingToggleBtn');
+        if (this.sceneManager.getLightingMode() === 'ibl') {
+            lightingToggleBtn.textContent = '💡 IBL Lighting (ModelViewer)';
+            lightingToggleBtn.className = 'ibl-mode';
+        } else {
+            lightingToggleBtn.textContent = '💡 Legacy Lighting (Simple)';
+            lightingToggleBtn.className = 'legacy-mode';
+        }
+        
+        const { name, rotation, intensity } = this.sceneManager.getEnvironment();
+        if (name) {
+            document.getElementById('environmentSelect').value = name;
+        }
+        document.getElementById('envRotation').value = rotation;
+        document.getElementById('envRotationValue').textContent = `${Math.round(rotation)}°`;
+        document.getElementById('envIntensity').value = intensity;
+        document.getElementById('envIntensityValue').textContent = intensity.toFixed(2);
+    }
+    
     resetToDefault() {
         const shapeSelect = document.getElementById('shapeSelect');
         if (shapeSelect) {
@@ -215,12 +396,11 @@ export class PepperGhostApp {
         document.getElementById('shapeSelect').value = 'torusKnot';
         document.getElementById('rotationSpeed').value = '0.005';
         document.getElementById('speedValue').textContent = '0.005';
-        document.getElementById('cameraDistance').value = '3';
-        document.getElementById('distanceValue').textContent = '3';
+        this.syncDistanceControl(this.cameraManager.getDefaultDistance());
         
         // Reset parameters
         this.rotationSpeed = 0.005;
-        this.cameraManager.updateDistance(3.5);
+        this.cameraManager.updateDistance(this.cameraManager.getDefaultDistance());
         this.sceneManager.updateMesh('torusKnot');
         
         // Reset object rotation
@@ -228,6 +408,7 @@ export class PepperGhostApp {
         if (mesh) {
             mesh.rotation.set(0, 0, 0);
         }
+        this.cameraManager.resetTurntable();
     }
     
     toggleAnimation() {
@@ -286,7 +467,8 @@ export class PepperGhostApp {
     }
     
     resetCamera() {
-        this.cameraManager.updateDistance(3.5);
+        this.cameraManager.updateDistance(this.cameraManager.getDefaultDistance());
+        this.syncDistanceControl(this.cameraManager.getDefaultDistance());
     }
     
     setupResizeHandling() {
@@ -297,114 +479,292 @@ export class PepperGhostApp {
             
             console.log(`📱 Window resized to: ${width}x${height}`);
         });
+        
+        // WebGL context restored: the PMREM environment only existed on the GPU
+        this.renderManager.onContextRestoredCallback(() => {
+            this.sceneManager.rebuildEnvironment();
+        });
     }
     
     setupViewToggle() {
         const viewToggleBtn = document.getElementById('viewToggleBtn');
         viewToggleBtn.addEventListener('click', () => {
             this.toggleViewMode();
-        });
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('overlayBtn').addEventListener('click', () => {
+            this.toggleCalibrationOverlay();
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportImage();
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('renderLoopBtn').addEventListener('click', () => {
+            this.renderLoop();
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('faceWindowBtn').addEventListener('click', () => {
+            this.openFaceWindow(parseInt(document.getElementById('faceWindowSelect').value, 10));
+        }, { signal: this.lifecycle.signal });
     }
     
     setupCameraInteraction() {
-        let isDragging = false;
-        let lastX = 0;
-        let lastY = 0;
-        
-        // Mouse down on canvas - start dragging
-        this.canvas.addEventListener('mousedown', (e) => {
-            if (this.viewMode === 'single') {
-                isDragging = true;
-                lastX = e.clientX;
-                lastY = e.clientY;
-                this.canvas.style.cursor = 'grabbing';
-            }
+        // Single View orbit: drag with inertia, wheel/pinch zoom, two-finger pan, double tap to re-frame
+        this.orbitController = new OrbitController({
+            cameraManager: this.cameraManager,
+            element: this.canvas,
+            isEnabled: () => this.viewMode === 'single',
+            onDoubleTap: () => this.reframe()
         });
+        this.orbitController.start();
+    }
+    
+    setupModelDrop() {
+        // Drop a .glb, or a .gltf with its files or its whole folder, onto the canvas
+        const signal = this.lifecycle.signal;
+        // Face windows only show the primary window's model
+        const hasFiles = (e) => !this.windowSync.isFollower() &&
+            Array.from(e.dataTransfer?.types || []).includes('Files');
+        
+        this.canvas.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.canvas.classList.add('drag-over');
+        }, { signal });
         
-        // Mouse move - rotate camera
-        document.addEventListener('mousemove', (e) => {
-            if (!isDragging || this.viewMode !== 'single') return;
-            
-            const deltaX = e.clientX - lastX;
-            const deltaY = e.clientY - lastY;
+        this.canvas.addEventListener('dragleave', () => {
+            this.canvas.classList.remove('drag-over');
+        }, { signal });
+        
+        this.canvas.addEventListener('drop', async (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.canvas.classList.remove('drag-over');
             
-            // Sensitivity: 0.5 degrees per pixel (both axes inverted for natural feel)
-            this.cameraManager.rotateSingleCamera(-deltaX * 0.5, -deltaY * 0.5);
+            let fileSet;
+            try {
+                fileSet = await ModelFileSet.fromDataTransfer(e.dataTransfer);
+            } catch (error) {
+                alert(`Failed to read the dropped files: ${error.message}`);
+                return;
+            }
+            this.loadModelFiles(fileSet);
+        }, { signal });
+        
+        // A file dropped next to the canvas (e.g. on the controls) would otherwise navigate away
+        window.addEventListener('dragover', (e) => e.preventDefault(), { signal });
+        window.addEventListener('drop', (e) => e.preventDefault(), { signal });
+    }
+    
+    /**
+     * Load a model from picked or dropped files
+     * @param {ModelFileSet} fileSet
+     */
+    async loadModelFiles(fileSet) {
+        try {
+            const model = await this.sceneManager.loadModelFromFiles(fileSet);
+            if (!model) return;
             
-            lastX = e.clientX;
-            lastY = e.clientY;
+            // Reset shape selector
+            document.getElementById('shapeSelect').value = '';
+        } catch (error) {
+            alert(`Failed to load model: ${error.message}`);
+        }
+    }
+    
+    setupFrameRenderer() {
+        // Offline video loops: steps stepAnimation() with a fixed timestep instead of rAF
+        this.frameRenderer = new FrameSequenceRenderer({
+            renderManager: this.renderManager,
+            sceneManager: this.sceneManager,
+            cameraManager: this.cameraManager,
+            step: (deltaSeconds) => this.stepAnimation(deltaSeconds)
         });
-        
-        // Mouse up - stop dragging
-        document.addEventListener('mouseup', () => {
-            if (isDragging) {
-                isDragging = false;
-                this.canvas.style.cursor = 'default';
-            }
+    }
+    
+    setupWindowSync() {
+        // ?face=N: this window shows one face full-window, driven by the primary window
+        this.setupFaceWindow({
+            channel: 'pepper-ghost-viewer',
+            interpolate: ['rotation'],
+            angles: ['turntable']
         });
-        
-        // Touch support for mobile
-        this.canvas.addEventListener('touchstart', (e) => {
-            if (this.viewMode === 'single' && e.touches.length === 1) {
-                isDragging = true;
-                lastX = e.touches[0].clientX;
-                lastY = e.touches[0].clientY;
-                e.preventDefault();
-            }
+    }
+    
+    setupPowerManagement() {
+        this.powerManager = new PowerManager({
+            renderManager: this.renderManager,
+            // Face windows get their dimming from the primary window (see applySyncState)
+            idleTimeout: this.windowSync.isFollower() ? 0 : 300,
+            isShowRunning: () => this.isAnimating
         });
         
-        this.canvas.addEventListener('touchmove', (e) => {
-            if (!isDragging || this.viewMode !== 'single' || e.touches.length !== 1) return;
-            
-            const deltaX = e.touches[0].clientX - lastX;
-            const deltaY = e.touches[0].clientY - lastY;
-            
-            this.cameraManager.rotateSingleCamera(-deltaX * 0.5, -deltaY * 0.5);
-            
-            lastX = e.touches[0].clientX;
-            lastY = e.touches[0].clientY;
-            e.preventDefault();
-        });
+        // Knocks on the pyramid are interaction too
+        this.tapDetector.on('required-tap', () => this.powerManager.notifyActivity());
+        this.tapDetector.on('long-press', () => this.powerManager.notifyActivity());
         
-        this.canvas.addEventListener('touchend', () => {
-            isDragging = false;
-        });
+        document.getElementById('frameCapSelect').addEventListener('change', (e) => {
+            this.powerManager.setMaxFps(parseInt(e.target.value, 10));
+        }, { signal: this.lifecycle.signal });
+        
+        document.getElementById('idleDimSelect').addEventListener('change', (e) => {
+            this.powerManager.setIdleDimming({ timeout: parseInt(e.target.value, 10) });
+        }, { signal: this.lifecycle.signal });
+    }
+    
+    /**
+     * State sent to face windows every frame (see WindowSync)
+     */
+    getSyncState() {
+        return {
+            ...super.getSyncState(),
+            rotation: this.sceneManager.getMesh()?.rotation.y ?? 0,
+            turntable: this.cameraManager.getTurntable().angle
+        };
+    }
+    
+    /**
+     * Face window: take over the primary window's state
+     * @param {Object} state - From getSyncState() (rotation / turntable / dim interpolated)
+     */
+    applySyncState(state) {
+        super.applySyncState(state);
+        
+        const mesh = this.sceneManager.getMesh();
+        if (mesh) mesh.rotation.y = state.rotation;
+        this.cameraManager.setTurntableAngle(state.turntable);
     }
     
     toggleViewMode() {
         if (this.viewMode === 'quadrant') {
             this.viewMode = 'single';
-            this.renderManager.setViewMode('single');
+            this.renderManager.setViewMode('single', { animate: true });
             document.getElementById('viewToggleBtn').textContent = 'Four Quadrants';
         } else {
             this.viewMode = 'quadrant';
-            this.renderManager.setViewMode('quadrant');
+            this.renderManager.setViewMode('quadrant', { animate: true });
             document.getElementById('viewToggleBtn').textContent = 'Single View';
         }
     }
     
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    /**
+     * Show / hide the alignment overlay used to place the pyramid (quadrant view only)
+     */
+    toggleCalibrationOverlay() {
+        const enabled = !this.renderManager.isCalibrationOverlayEnabled();
+        this.renderManager.setCalibrationOverlay(enabled);
         
-        // Object animation - horizontal rotation only
+        const btn = document.getElementById('overlayBtn');
+        if (btn) btn.textContent = enabled ? 'Hide Overlay' : 'Alignment Overlay';
+    }
+    
+    /**
+     * Download a PNG of the current view at the size chosen in the export controls
+     * Usage in console: window.app.exportImage({ width: 8192, height: 8192, transparent: true })
+     * @param {Object} [options] - Overrides for RenderManager.exportImage (width, height, transparent, filename)
+     * @returns {Promise<Blob|null>}
+     */
+    exportImage(options = {}) {
+        const [width, height] = document.getElementById('exportSizeSelect').value.split('x').map(Number);
+        const transparent = document.getElementById('exportBackgroundSelect').value === 'transparent';
+        
+        return this.renderManager.exportImage(
+            this.sceneManager.getScene(),
+            this.cameraManager.getCameras(),
+            this.cameraManager.getSingleCamera(),
+            { width, height, transparent, ...options }
+        );
+    }
+    
+    /**
+     * Render a seamless video loop of the quadrant layout with the settings chosen in the
+     * loop controls. Clicking the button again while rendering cancels.
+     * Usage in console: window.app.renderLoop({ width: 1080, height: 1080, frames: 120, transparent: true })
+     * @param {Object} [options] - Overrides for FrameSequenceRenderer.render
+     * @returns {Promise<Blob|null>}
+     */
+    async renderLoop(options = {}) {
+        const btn = document.getElementById('renderLoopBtn');
+        if (this.frameRenderer.isRendering) {
+            this.frameRenderer.cancel();
+            return null;
+        }
+        
+        const [width, height] = document.getElementById('loopSizeSelect').value.split('x').map(Number);
+        const fps = parseInt(document.getElementById('loopFpsSelect').value);
+        const seconds = parseFloat(document.getElementById('loopDurationSelect').value);
+        
+        try {
+            return await this.frameRenderer.render({
+                width, height, fps,
+                frames: Math.round(seconds * fps),
+                loop: true,
+                onProgress: (frame, total) => {
+                    btn.textContent = `Rendering ${frame}/${total} (click to cancel)`;
+                },
+                ...options
+            });
+        } finally {
+            btn.textContent = 'Render Loop';
+        }
+    }
+    
+    /**
+     * Advance the animation by a time step (the live loop uses the frame time, the frame renderer 1/fps)
+     * @param {number} deltaSeconds
+     */
+    stepAnimation(deltaSeconds) {
+        if (!this.isAnimating) return;
+        
+        // Object animation - horizontal rotation only (object or turntable cameras)
+        // rotationSpeed is radians per frame at ~60fps
+        const frames = deltaSeconds * 60;
         const mesh = this.sceneManager.getMesh();
-        if (mesh && this.isAnimating) {
-            mesh.rotation.y += this.rotationSpeed;
+        if (this.cameraManager.getTurntable().enabled) {
+            // Same apparent spin, scene stays still
+            this.cameraManager.setTurntable({ speed: this.rotationSpeed * 60 * 180 / Math.PI });
+            this.cameraManager.updateTurntable(deltaSeconds);
+        } else if (mesh) {
+            mesh.rotation.y += this.rotationSpeed * frames;
+        }
+    }
+    
+    animate() {
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        
+        // Nothing to draw into while the GPU is reclaimed (RenderManager shows a status message)
+        if (this.renderManager.isContextLost()) return;
+        
+        // The frame renderer drives the animation while a video loop renders
+        if (this.frameRenderer.isRendering) return;
+        
+        // Hidden page or frame cap: skip this frame
+        const deltaSeconds = this.powerManager.frame();
+        if (deltaSeconds === null) return;
+        
+        if (this.windowSync.isFollower()) {
+            // Face window: the primary window's state at this frame's playout time
+            this.windowSync.update();
+        } else {
+            this.stepAnimation(deltaSeconds);
+            this.windowSync.publish(this.getSyncState());
+            
+            // Single View orbit inertia
+            this.orbitController.update();
+            
+            // Keep the URL hash in sync with the current settings
+            this.urlState.sync(this.getUrlState());
         }
         
         // Render based on view mode
         try {
-            if (this.viewMode === 'single') {
-                this.renderManager.renderSingle(
-                    this.sceneManager.getScene(),
-                    this.cameraManager.getSingleCamera()
-                );
-            } else {
-                this.renderManager.renderQuadrants(
-                    this.sceneManager.getScene(),
-                    this.cameraManager.getCameras()
-                );
-            }
+            this.renderManager.render(
+                this.sceneManager.getScene(),
+                this.cameraManager.getCameras(),
+                this.cameraManager.getSingleCamera()
+            );
         } catch (error) {
             console.error('❌ Render error:', error);
         }
@@ -426,4 +786,57 @@ export class PepperGhostApp {
     getBrightness() {
         return this.renderManager.getExposure();
     }
+    
+    /**
+     * Current settings for the URL hash (see URL_STATE_SCHEMA)
+     */
+    getUrlState() {
+        return {
+            ...super.getUrlState(),
+            shape: document.getElementById('shapeSelect').value || null  // Empty after loading a file
+        };
+    }
+    
+    /**
+     * Apply settings read from the URL hash and sync the controls
+     * @param {Object} state - Partial settings (see URL_STATE_SCHEMA)
+     */
+    applyUrlState(state) {
+        super.applyUrlState(state);
+        if (state.shape) {
+            document.getElementById('shapeSelect').value = state.shape;
+            this.sceneManager.updateMesh(state.shape);
+        }
+    }
+    
+    onFaceCountChange() {
+        this.refreshFaceTuning();
+    }
+    
+    /**
+     * Tear the app down: stop the animation loop, remove every listener and free
+     * all GPU resources. The page's HTML (canvas, controls) is left in place, so a
+     * single-page shell can mount another experience - or this one again - on it.
+     * Usage in console: window.app.dispose()
+     */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        
+        cancelAnimationFrame(this.animationFrameId);
+        this.lifecycle.abort();
+        this.frameRenderer.cancel();
+        
+        this.orbitController.stop();
+        this.tapDetector.dispose();
+        this.windowSync.dispose();
+        this.powerManager.dispose();
+        
+        // Scene before renderer: the scene's GPU resources are freed through it
+        this.sceneManager.dispose();
+        this.cameraManager.dispose();
+        this.renderManager.dispose();
+        
+        console.log('🗑️  App disposed');
+    }
 }
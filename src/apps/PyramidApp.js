@@ -0,0 +1,335 @@
+import { PyramidCalibration } from '../core/PyramidCalibration.js';
+import { UrlState } from '../core/UrlState.js';
+import { WindowSync } from '../core/WindowSync.js';
+import { ENVIRONMENT_PRESETS } from '../core/EnvironmentPresets.js';
+
+// URL hash settings (see UrlState) - apps combine these with their own keys
+
+// Camera, layout and exposure: every app
+export const VIEW_URL_STATE = {
+    pitch: 'number',
+    yaw: 'number',
+    distance: 'number',
+    mode: ['pepper-ghost', 'unified-front'],
+    faces: 'number',
+    projection: ['perspective', 'orthographic'],
+    layout: ['radial', 'grid', 'single', 'triangle'],
+    exposure: 'number'
+};
+
+// Object rotation speed and turntable: apps with the rotation controls (uses `rotationSpeed`)
+export const MOTION_URL_STATE = {
+    speed: 'number',
+    rotation: ['object', 'turntable'],
+    profile: ['continuous', 'ping-pong'],
+    direction: 'number'
+};
+
+// IBL environment: apps with the environment controls
+export const ENVIRONMENT_URL_STATE = {
+    env: Object.keys(ENVIRONMENT_PRESETS),
+    envRotation: 'number',
+    envIntensity: 'number'
+};
+
+/**
+ * PyramidApp - Behaviour every pyramid experience shares
+ *
+ * PepperGhostApp, CakeApp and FuApp extend this class. They create
+ * `renderManager`, `cameraManager` and `sceneManager` in their constructor and
+ * keep their own content, controls and animation; the hardware plumbing that is
+ * the same for all of them lives here.
+ */
+export class PyramidApp {
+    /**
+     * Apply this device's saved pyramid calibration (viewport size, gap, FOV)
+     */
+    restoreCalibration() {
+        const calibration = PyramidCalibration.load();
+        if (calibration) {
+            this.applyCalibration(calibration);
+        }
+    }
+
+    /**
+     * Set physical pyramid calibration (saved for this device)
+     * Usage in console: window.app.setCalibration({ screenWidthMm: 250, baseWidthMm: 170, apexGapMm: 10 })
+     * @param {Object} values - PyramidCalibration fields (mm / degrees), merged with the current profile
+     * @returns {boolean} - true if the profile was valid and applied
+     */
+    setCalibration(values) {
+        const current = this.renderManager.getCalibration();
+        const calibration = new PyramidCalibration({ ...current?.toJSON(), ...values });
+
+        if (!calibration.isValid()) {
+            console.error('❌ Invalid calibration profile:', calibration.toJSON());
+            return false;
+        }
+
+        calibration.save();
+        this.applyCalibration(calibration);
+        return true;
+    }
+
+    /**
+     * Remove saved calibration and return to the automatic layout
+     */
+    clearCalibration() {
+        PyramidCalibration.clear();
+        this.applyCalibration(null);
+    }
+
+    applyCalibration(calibration) {
+        this.renderManager.setCalibration(calibration);
+        this.cameraManager.setCalibration(calibration);
+    }
+
+    /**
+     * Fit an object into every face and sync the distance slider
+     * @param {THREE.Object3D} object - Displayed object
+     * @param {Object} [options] - CameraManager.frameObject options
+     */
+    frameObject(object, options = {}) {
+        // A distance restored from a shared link wins over the first automatic framing
+        const keepDistance = this.restoredDistance !== undefined;
+        this.restoredDistance = undefined;
+
+        const distance = this.cameraManager.frameObject(object, { ...options, apply: !keepDistance });
+        if (distance !== null && !keepDistance) {
+            this.syncDistanceControl(distance);
+        }
+    }
+
+    syncDistanceControl(distance) {
+        const cameraDistanceSlider = document.getElementById('cameraDistance');
+        const distanceValue = document.getElementById('distanceValue');
+        if (cameraDistanceSlider) cameraDistanceSlider.value = distance;
+        if (distanceValue) distanceValue.textContent = distance.toFixed(1);
+    }
+
+    /**
+     * Re-center and re-frame the displayed object (double tap in Single View)
+     */
+    reframe() {
+        this.frameObject(this.sceneManager.getObject(), { recenter: true });
+    }
+
+    /**
+     * Restore settings from a shared link; the hash follows the settings from then on
+     * @param {Object} schema - URL state schema (VIEW_URL_STATE plus the app's own keys)
+     */
+    restoreUrlState(schema) {
+        this.urlState = new UrlState(schema);
+        this.applyUrlState(this.urlState.read());
+    }
+
+    /**
+     * Current settings for the URL hash (the keys of the app's schema)
+     */
+    getUrlState() {
+        const { pitch, yaw } = this.cameraManager.getUserCameraState();
+        const state = {
+            pitch,
+            yaw,
+            distance: this.cameraManager.getDistance(),
+            mode: this.cameraManager.getQuadrantMode(),
+            faces: this.cameraManager.getFaceCount(),
+            projection: this.cameraManager.getProjectionMode(),
+            layout: this.renderManager.getLayoutName(),
+            exposure: this.renderManager.getExposure()
+        };
+
+        const schema = this.urlState.schema;
+        if (schema.speed) {
+            const turntable = this.cameraManager.getTurntable();
+            state.speed = this.rotationSpeed;
+            state.rotation = turntable.enabled ? 'turntable' : 'object';
+            state.profile = turntable.profile;
+            state.direction = turntable.direction;
+        }
+        if (schema.env) {
+            const environment = this.sceneManager.getEnvironment();
+            state.env = environment.name === 'custom' ? null : environment.name;  // Files can't be shared
+            state.envRotation = environment.rotation;
+            state.envIntensity = environment.intensity;
+        }
+        return state;
+    }
+
+    /**
+     * Apply settings read from the URL hash (or synced from the primary window) and sync the controls
+     * @param {Object} state - Partial settings (see VIEW_URL_STATE, MOTION_URL_STATE, ENVIRONMENT_URL_STATE)
+     */
+    applyUrlState(state) {
+        if (state.layout) {
+            this.setLayout(state.layout);
+        }
+        if (state.faces !== undefined && this.cameraManager.setFaceCount(state.faces)) {
+            setControlValue('faceCountSelect', state.faces);
+            this.onFaceCountChange();
+        }
+        if (state.projection) {
+            this.cameraManager.setProjectionMode(state.projection);
+            setControlValue('projectionSelect', state.projection);
+        }
+        if (state.mode && this.cameraManager.setQuadrantMode(state.mode)) {
+            this.onQuadrantModeChange(state.mode);
+        }
+        if (state.pitch !== undefined || state.yaw !== undefined) {
+            this.cameraManager.setUserCameraState(state);
+        }
+        if (state.distance !== undefined) {
+            this.restoredDistance = state.distance;
+            this.cameraManager.updateDistance(state.distance);
+            this.syncDistanceControl(state.distance);
+        }
+        if (state.speed !== undefined) {
+            this.rotationSpeed = state.speed;
+            setControlValue('rotationSpeed', state.speed);
+            const speedValue = document.getElementById('speedValue');
+            if (speedValue) speedValue.textContent = state.speed.toFixed(3);
+        }
+        if (state.rotation || state.profile || state.direction !== undefined) {
+            this.cameraManager.setTurntable({
+                enabled: state.rotation ? state.rotation === 'turntable' : undefined,
+                profile: state.profile,
+                direction: state.direction
+            });
+            const turntable = this.cameraManager.getTurntable();
+            setControlValue('rotationModeSelect', turntable.enabled ? 'turntable' : 'object');
+            setControlValue('turntableProfileSelect', turntable.profile);
+            setControlValue('turntableDirectionSelect', turntable.direction);
+        }
+        if (state.exposure !== undefined) {
+            this.renderManager.setExposure(state.exposure);
+        }
+        if (state.envRotation !== undefined) {
+            this.sceneManager.setEnvironmentRotation(state.envRotation);
+        }
+        if (state.envIntensity !== undefined) {
+            this.sceneManager.setEnvironmentIntensity(state.envIntensity);
+        }
+        if (state.env) {
+            this.sceneManager.setEnvironment(state.env);
+        }
+    }
+
+    /**
+     * Choose the face viewport layout (switches face count for fixed-count layouts)
+     * Usage in console: window.app.setLayout('grid')
+     * @param {string} name - 'radial', 'grid', 'single', 'triangle' or a registered custom layout
+     * @returns {boolean} - false if no layout has that name
+     */
+    setLayout(name) {
+        if (!this.renderManager.setLayout(name)) return false;
+
+        const faceCount = this.renderManager.getLayoutFaceCount();
+        if (faceCount && this.cameraManager.setFaceCount(faceCount)) {
+            setControlValue('faceCountSelect', faceCount);
+            this.onFaceCountChange();
+        }
+        setControlValue('layoutSelect', name);
+        return true;
+    }
+
+    /**
+     * Called after the face count changed through a layout or a shared link
+     * (apps with per-face controls rebuild them here)
+     */
+    onFaceCountChange() {}
+
+    /**
+     * Called after a shared link or the primary window switched the quadrant mode
+     * @param {string} mode - 'pepper-ghost' or 'unified-front'
+     */
+    onQuadrantModeChange(mode) {}
+
+    /**
+     * Face windows: with `?face=N` this window shows one face full-window, driven
+     * by the primary window (see getSyncState / applySyncState)
+     * @param {Object} options - WindowSync options: channel, interpolate, angles (exposure dimming is added)
+     * @returns {boolean} - true if this window is a face window
+     */
+    setupFaceWindow(options) {
+        const face = parseInt(new URLSearchParams(window.location.search).get('face'), 10);
+        const isFaceWindow = Number.isInteger(face) && face >= 0;
+
+        this.windowSync = new WindowSync({
+            ...options,
+            role: isFaceWindow ? 'follower' : 'primary',
+            interpolate: [...(options.interpolate ?? []), 'dim'],
+            onState: (state) => this.applySyncState(state)
+        });
+        this.syncedSettings = {};
+
+        if (!isFaceWindow) return false;
+
+        this.renderManager.setLayout('face', { face });
+        document.getElementById('app')?.classList.add('fullscreen-mode');
+        document.title = `Face ${face} - ${document.title}`;
+        this.disableLocalInput();
+        return true;
+    }
+
+    /**
+     * Face window: taps, orbit drags and shortcuts would change this window alone
+     * and put it out of step with the others - everything comes from the primary.
+     * F still toggles fullscreen, each face window fills its own display.
+     */
+    disableLocalInput() {
+        this.tapDetector.dispose();
+        this.orbitController.stop();
+        window.addEventListener('keydown', (e) => {
+            if (e.code !== 'KeyF') e.stopImmediatePropagation();
+        }, { capture: true, signal: this.lifecycle.signal });
+    }
+
+    /**
+     * Open one face in its own window (one monitor or projector per facet)
+     * The window follows this one: settings and the app's synced state (see getSyncState).
+     * Usage in console: window.app.openFaceWindow(2)
+     * @param {number} index - Face index (camera order, 0 = Front)
+     * @returns {Window|null} - null if the browser blocked the popup
+     */
+    openFaceWindow(index) {
+        const url = `${window.location.pathname}?face=${index}${window.location.hash}`;
+        const faceWindow = window.open(url, `${this.windowSync.channelName}-face-${index}`, 'popup,width=800,height=800');
+        if (!faceWindow) {
+            console.warn('⚠️  Face window blocked - allow popups for this page');
+        }
+        return faceWindow;
+    }
+
+    /**
+     * State sent to face windows every frame (see WindowSync) - apps add their own keys
+     */
+    getSyncState() {
+        return {
+            settings: this.getUrlState(),
+            dim: this.renderManager.getExposureScale()
+        };
+    }
+
+    /**
+     * Face window: take over the primary window's state
+     * @param {Object} state - From getSyncState() (interpolated keys blended for this frame)
+     */
+    applySyncState(state) {
+        // Settings that changed since the last frame (the layout stays 'face')
+        const { layout, ...settings } = state.settings;
+        const changed = Object.fromEntries(
+            Object.entries(settings).filter(([key, value]) => this.syncedSettings[key] !== value)
+        );
+        if (Object.keys(changed).length > 0) {
+            this.applyUrlState(changed);
+            this.syncedSettings = settings;
+        }
+
+        this.renderManager.setExposureScale(state.dim ?? 1);
+    }
+}
+
+function setControlValue(id, value) {
+    const element = document.getElementById(id);
+    if (element) element.value = value;
+}
@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+
+// SMPTE-style color bars (75% white, yellow, cyan, green, magenta, red, blue)
+const COLOR_BARS = ['#c0c0c0', '#c0c000', '#00c0c0', '#00c000', '#c000c0', '#c00000', '#0000c0'];
+
+/**
+ * CalibrationOverlay - Alignment guides for placing the pyramid on the screen
+ *
+ * Drawn on a 2D canvas stacked above the WebGL canvas (pointer events pass through):
+ * - Crosshair at the layout center
+ * - Outline of every face viewport
+ * - Guide lines along the pyramid edges (between neighbouring faces); with a
+ *   calibration profile also the base and apex outlines of the physical pyramid
+ * - Per-face test pattern (grid, face label with an "up" arrow, color bars),
+ *   rotated and mirrored like the face content so it reads correctly in the glass
+ *
+ * Owned by RenderManager - see RenderManager.setCalibrationOverlay().
+ */
+export class CalibrationOverlay {
+    constructor(targetCanvas) {
+        this.targetCanvas = targetCanvas;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'calibration-overlay';
+        Object.assign(this.canvas.style, {
+            position: 'fixed',
+            pointerEvents: 'none',
+            display: 'none'
+        });
+        targetCanvas.insertAdjacentElement('afterend', this.canvas);
+
+        this.ctx = this.canvas.getContext('2d');
+        this.lastSignature = null;  // Skip redraws while nothing changed
+    }
+
+    show() {
+        this.canvas.style.display = 'block';
+        this.lastSignature = null;
+    }
+
+    hide() {
+        this.canvas.style.display = 'none';
+    }
+
+    /**
+     * Draw guides for the current layout
+     * @param {Object} frame
+     * @param {Array} frame.viewports - Face viewports from RenderManager.computeFaceViewports (WebGL origin)
+     * @param {THREE.Camera[]} frame.cameras - Face cameras (name, faceAngle, roll, mirror in userData)
+     * @param {PyramidCalibration|null} frame.calibration - Physical pyramid profile
+     * @param {boolean} frame.pyramidGuides - Draw pyramid edge guides (radial-style layouts)
+     */
+    draw({ viewports, cameras, calibration, pyramidGuides }) {
+        const rect = this.targetCanvas.getBoundingClientRect();
+        const w = rect.width;
+        const h = rect.height;
+
+        const signature = JSON.stringify([
+            rect.left, rect.top, w, h, pyramidGuides, calibration?.toJSON(),
+            viewports, cameras.map(camera => [camera.name, camera.userData])
+        ]);
+        if (signature === this.lastSignature) return;
+        this.lastSignature = signature;
+
+        // Match the WebGL canvas position and resolution
+        const dpr = window.devicePixelRatio || 1;
+        Object.assign(this.canvas.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${w}px`,
+            height: `${h}px`
+        });
+        this.canvas.width = Math.round(w * dpr);
+        this.canvas.height = Math.round(h * dpr);
+
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, w, h);
+
+        viewports.forEach((viewport, i) => {
+            if (viewport && cameras[i]) {
+                this.drawFacePattern(viewport, cameras[i], h);
+            }
+        });
+
+        const center = this.getLayoutCenter(viewports, w, h);
+        if (pyramidGuides) {
+            this.drawPyramidGuides(cameras, calibration, center, w, h);
+        }
+
+        this.drawCrosshair(center.x, center.y, Math.min(w, h) * 0.05);
+    }
+
+    /**
+     * Layout center in canvas coordinates: mean of the face viewport centers
+     * (the pyramid axis for radial layouts, even when shifted like the triangle)
+     */
+    getLayoutCenter(viewports, w, h) {
+        const faces = viewports.filter(Boolean);
+        if (faces.length === 0) return { x: w / 2, y: h / 2 };
+
+        const sum = faces.reduce((acc, viewport) => {
+            acc.x += viewport.x + viewport.width / 2;
+            acc.y += viewport.y + viewport.height / 2;
+            return acc;
+        }, { x: 0, y: 0 });
+        return { x: sum.x / faces.length, y: h - sum.y / faces.length };
+    }
+
+    drawCrosshair(x, y, size) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#ff3030';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - size, y);
+        ctx.lineTo(x + size, y);
+        ctx.moveTo(x, y - size);
+        ctx.lineTo(x, y + size);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, size * 0.4, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Lines along the pyramid edges, halfway between neighbouring face directions
+     */
+    drawPyramidGuides(cameras, calibration, center, w, h) {
+        const count = cameras.length;
+        const half = 180 / count;
+        const centerX = center.x;
+        const centerY = center.y;
+        const reach = Math.hypot(w, h);
+
+        // Screen direction (0° = right, 90° = up) → canvas point (y down)
+        const point = (angle, distance) => {
+            const rad = THREE.MathUtils.degToRad(angle);
+            return [centerX + distance * Math.cos(rad), centerY - distance * Math.sin(rad)];
+        };
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([8, 6]);
+
+        const edgeAngles = cameras.map((camera, i) => (camera.userData.faceAngle ?? (270 + i * 360 / count)) + half);
+        edgeAngles.forEach(angle => {
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.lineTo(...point(angle, reach));
+            ctx.stroke();
+        });
+
+        // Physical footprint: base polygon and apex opening (apothem = half the flat-to-flat width)
+        if (calibration) {
+            ctx.setLineDash([]);
+            const density = calibration.getPixelDensity(w);
+            const cornerScale = 1 / Math.cos(THREE.MathUtils.degToRad(half));
+
+            [calibration.baseWidthMm, calibration.apexGapMm].forEach(widthMm => {
+                const cornerDistance = (widthMm / 2) * density * cornerScale;
+                if (cornerDistance <= 0) return;
+
+                ctx.beginPath();
+                edgeAngles.forEach((angle, i) => {
+                    const [x, y] = point(angle, cornerDistance);
+                    if (i === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                });
+                ctx.closePath();
+                ctx.stroke();
+            });
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Viewport outline plus a test pattern oriented like the face content
+     */
+    drawFacePattern(viewport, camera, canvasHeight) {
+        const ctx = this.ctx;
+        const x = viewport.x;
+        const y = canvasHeight - viewport.y - viewport.height;  // WebGL bottom-left → canvas top-left
+        const { width, height } = viewport;
+        if (width <= 0 || height <= 0) return;
+
+        // Same image roll and mirror RenderManager.renderFace applies to the content
+        const { faceRoll = 0, imageRoll = faceRoll } = camera.userData;
+        const roll = viewport.rotation !== undefined ? viewport.rotation + (imageRoll - faceRoll) : imageRoll;
+        const mirror = !!camera.userData.mirror !== !!viewport.mirror;
+
+        ctx.save();
+
+        // Outline (unrotated - this is the screen area to cover)
+        ctx.strokeStyle = '#00ff88';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, y + 1, width - 2, height - 2);
+
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+
+        // Pattern space: origin at the viewport center, +y = image up
+        const quarterTurns = ((Math.round(roll / 90) % 4) + 4) % 4;
+        const isRightAngle = Math.abs(roll - Math.round(roll / 90) * 90) < 0.01;
+        let patternWidth = Math.min(width, height);
+        let patternHeight = patternWidth;
+        if (isRightAngle) {
+            patternWidth = quarterTurns % 2 === 0 ? width : height;
+            patternHeight = quarterTurns % 2 === 0 ? height : width;
+        }
+
+        ctx.translate(x + width / 2, y + height / 2);
+        ctx.rotate(THREE.MathUtils.degToRad(roll));  // Positive roll turns the image clockwise
+        if (mirror) ctx.scale(-1, 1);
+
+        const left = -patternWidth / 2;
+        const top = -patternHeight / 2;
+
+        // Grid (8 × 8)
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 8; i++) {
+            ctx.moveTo(left + (patternWidth * i) / 8, top);
+            ctx.lineTo(left + (patternWidth * i) / 8, top + patternHeight);
+            ctx.moveTo(left, top + (patternHeight * i) / 8);
+            ctx.lineTo(left + patternWidth, top + (patternHeight * i) / 8);
+        }
+        ctx.stroke();
+
+        // Color bars across the lower quarter
+        const barWidth = patternWidth / COLOR_BARS.length;
+        COLOR_BARS.forEach((color, i) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(left + i * barWidth, top + patternHeight * 0.7, barWidth + 0.5, patternHeight * 0.2);
+        });
+
+        // Face label with an arrow pointing to the image top
+        const fontSize = Math.max(10, Math.min(patternWidth, patternHeight) * 0.12);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.fillText(camera.name || 'Face', 0, top + patternHeight * 0.45);
+        ctx.font = `${fontSize * 0.8}px sans-serif`;
+        ctx.fillText('▲ UP', 0, top + patternHeight * 0.2);
+
+        ctx.restore();
+    }
+
+    dispose() {
+        this.canvas.remove();
+    }
+}
@@ -1,10 +1,58 @@
 import * as THREE from 'three';
+import { gsap } from 'gsap';
+import { FaceOverrides } from './FaceOverrides.js';
+
+/**
+ * Face names per supported pyramid, in camera order
+ * (Front at the bottom of the screen, then counter-clockwise)
+ */
+const FACE_NAMES = {
+    3: ['Front', 'Right', 'Left'],
+    4: ['Front', 'Right', 'Back', 'Left'],
+    6: ['Front', 'Front-Right', 'Back-Right', 'Back', 'Back-Left', 'Front-Left'],
+    8: ['Front', 'Front-Right', 'Right', 'Back-Right', 'Back', 'Back-Left', 'Left', 'Front-Left']
+};
+
+// FOV that `distance` is expressed against (the original fixed camera FOV)
+const REFERENCE_FOV = 50;
+
+export const SUPPORTED_FACE_COUNTS = Object.keys(FACE_NAMES).map(Number);
+
+function normalizeAngle(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Interpolate between two angles along the shortest arc (degrees)
+ */
+function lerpAngle(from, to, t) {
+    const delta = ((to - from + 540) % 360) - 180;
+    return from + delta * t;
+}
+
+/**
+ * Set a camera's aspect ratio for either projection type
+ * Orthographic cameras keep their vertical extent and widen/narrow horizontally
+ * @param {THREE.PerspectiveCamera|THREE.OrthographicCamera} camera
+ * @param {number} aspect - Width / height
+ */
+export function applyCameraAspect(camera, aspect) {
+    if (camera.isOrthographicCamera) {
+        const halfHeight = (camera.top - camera.bottom) / 2;
+        camera.left = -halfHeight * aspect;
+        camera.right = halfHeight * aspect;
+    } else {
+        camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+}
 
 export class CameraManager {
-    constructor(initialPitch = 20, initialDistance = 3.5) {
+    constructor(initialPitch = 20, initialDistance = 3.5, faceCount = 4) {
         this.cameras = [];
         this.singleCamera = null;
         this.distance = initialDistance;
+        this.defaultDistance = initialDistance; // Reset distance - replaced by frameObject()
         this.lookAtTarget = new THREE.Vector3(0, 0, 0); // Camera target point
         
         // User camera state for Single View (persistent across view changes)
@@ -14,81 +62,332 @@ export class CameraManager {
             distance: initialDistance         // Distance from origin
         };
         
+        // Face camera vertical FOV (degrees) - driven by the calibration profile when set
+        this.fov = REFERENCE_FOV;
+        this.calibration = null;
+        
+        // Face camera projection: 'perspective' or 'orthographic' (no perspective distortion)
+        this.projectionMode = 'perspective';
+        
+        // Intended viewing spot relative to the floating image (null = symmetric frustums)
+        this.viewer = null;  // { eyeHeightMm, distanceMm }
+        
+        // Displayed object bounds, sizing the orthographic frustum (normalized models ~2 units)
+        this.objectBounds = new THREE.Sphere(new THREE.Vector3(0, 0, 0), Math.sqrt(3));
+        this.frameMargin = 1.05;  // Bounds radius multiplier of the last frameObject()
+        
+        // Per-face corrections for this device (yaw/pitch/roll/FOV/shift/mirror)
+        this.faceOverrides = FaceOverrides.load();
+        
+        // Number of pyramid faces (one camera per face)
+        this.faceCount = SUPPORTED_FACE_COUNTS.includes(faceCount) ? faceCount : 4;
+        
         // Quadrant rendering mode
-        // 'unified-front': All 4 cameras face the same direction (yaw=0) with different roll angles
-        //                  Purpose: Show 3D text front-facing in all quadrants for Pepper's Ghost projection
-        // 'pepper-ghost': Traditional 4-direction view (yaw = 0°/90°/180°/270°)
-        //                 Purpose: Show object from 4 different angles (back/left/front/right)
+        // 'unified-front': All cameras face the same direction (yaw=180°) with different roll angles
+        //                  Purpose: Show 3D text front-facing on every face for Pepper's Ghost projection
+        // 'pepper-ghost': Each camera looks from its own side (yaw evenly spaced around the object)
+        //                 Purpose: Show object from N different angles (back/left/front/right for 4 faces)
         this.quadrantMode = 'pepper-ghost';  // Default: pepper ghost mode
         
+        // Turntable: cameras orbit lookAtTarget while the scene stays still
+        // (reflections and lights stay fixed relative to the object)
+        this.turntable = {
+            enabled: false,
+            speed: 17,              // Degrees per second (peak speed for ping-pong)
+            direction: 1,           // 1 = same apparent spin as rotating the object around +Y, -1 = reverse
+            profile: 'continuous',  // 'continuous' or 'ping-pong' (swings back and forth)
+            range: 45,              // Ping-pong swing, degrees either side of the start
+            angle: 0,               // Current orbit offset (degrees)
+            center: 0,              // Ping-pong swing center (degrees)
+            phase: 0                // Ping-pong phase (radians)
+        };
+        
+        // Animated quadrant mode switch (yaw/roll eased from the previous mode)
+        this.transitionOptions = { duration: 0.8, ease: 'power2.inOut' };
+        this.modeTransition = null;       // { from: faceConfigs[], progress: 0..1 }
+        this.modeTransitionTween = null;
+        this.currentFaceConfigs = [];     // Face configs last applied to the cameras
+        
         this.setupCameras();
         this.setupSingleCamera();
     }
     
-    setupCameras() {
-        this.cameras = [];
+    /**
+     * Build the per-face camera table for the current face count and quadrant mode
+     * 
+     * Faces are spaced evenly around the screen center, starting with Front at the
+     * bottom of the screen and continuing counter-clockwise. `angle` is the face's
+     * screen direction (0° = right, 90° = top), `roll` turns the image so the object's
+     * top always points away from the center (towards the pyramid base edge).
+     * 
+     * Physical Pepper's Ghost pyramid setup for four faces (top view):
+     *        ┌─────┐
+     *        │ Top │  (Back: roll=0° - upside down relative to Front)
+     *  ┌─────┼─────┼─────┐
+     *  │Left │     │Right│
+     *  │(-90°│  🎂 │+90°)│  (Left/Right: roll=±90° - rotated 90° from Front)
+     *  └─────┼─────┼─────┘
+     *        │ Bot │  (Front: roll=180° - reference standard)
+     *        └─────┘
+     * 
+     * @returns {{name: string, angle: number, yaw: number, roll: number}[]}
+     */
+    getFaceConfigs() {
+        const names = FACE_NAMES[this.faceCount];
+        const step = 360 / this.faceCount;
         
-        // Four views: back (top viewport), front (bottom viewport), left, right
-        // Apply user's pitch angle to all four directions
+        return names.map((name, i) => {
+            const angle = normalizeAngle(270 + i * step);
+            
+            // 'unified-front': every camera looks at the front (yaw=180°), only roll differs
+            //                  so front-facing content reads correctly on every face
+            // 'pepper-ghost': each camera looks from its own side (Front=180°, Back=0°, ...)
+            const yaw = this.quadrantMode === 'unified-front'
+                ? 180
+                : normalizeAngle(angle - 90);
+            
+            // Map [0°, 360°) to (-180°, 180°] so Left/Right keep their ∓90° roll
+            let roll = normalizeAngle(90 - angle);
+            if (roll > 180) roll -= 360;
+            
+            return { name, angle, yaw, roll };
+        });
+    }
+    
+    setupCameras() {
+        // Apply user's pitch angle to every face direction
+        // (a viewer model replaces it with the eye elevation - see setViewer())
         const pitch = this.userCameraState.pitch;
-        const pitchRad = THREE.MathUtils.degToRad(pitch);
+        const distance = this.getFaceDistance();
         
-        let cameraConfigs;
-        
-        if (this.quadrantMode === 'unified-front') {
-            // Unified Front Mode: All cameras face the same direction for consistent front-facing content
-            // Reference: Bottom screen (Front) with yaw=180°, roll=180° - this is the ideal presentation
-            // Other screens maintain same yaw but adjust roll for physical screen orientations
-            // 
-            // Physical Pepper's Ghost pyramid setup (top view):
-            //        ┌─────┐
-            //        │ Top │  (Back: yaw=180°, roll=0° - upside down relative to Front)
-            //  ┌─────┼─────┼─────┐
-            //  │Left │     │Right│  
-            //  │(-90°│  🎂 │+90°)│  (Left/Right: yaw=180°, roll=±90° - rotated 90° from Front)
-            //  └─────┼─────┼─────┘
-            //        │ Bot │  (Front: yaw=180°, roll=180° - reference standard)
-            //        └─────┘
-            cameraConfigs = [
-                { name: 'Back',  yaw: 180, roll: 0 },      // Top screen: same direction as Front, no roll
-                { name: 'Front', yaw: 180, roll: 180 },    // Bottom screen: reference standard (ideal view)
-                { name: 'Left',  yaw: 180, roll: -90 },    // Left screen: 90° CCW from Front
-                { name: 'Right', yaw: 180, roll: +90 }     // Right screen: 90° CW from Front
-            ];
-        } else {
-            // Pepper Ghost Mode: Traditional 4-direction view
-            // Each camera looks from a different angle (0°/90°/180°/270° yaw)
-            cameraConfigs = [
-                { name: 'Back',  yaw: 0,   roll: 0 },     // Top: view from back
-                { name: 'Front', yaw: 180, roll: 180 },   // Bottom: view from front
-                { name: 'Left',  yaw: 90,  roll: -90 },   // Left: view from left
-                { name: 'Right', yaw: 270, roll: 90 }     // Right: view from right
-            ];
-        }
-        
-        for (let i = 0; i < 4; i++) {
-            const config = cameraConfigs[i];
-            const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
-            
-            // Calculate position using spherical coordinates with user's pitch
-            const yawRad = THREE.MathUtils.degToRad(config.yaw);
-            camera.position.x = this.lookAtTarget.x + this.distance * Math.sin(yawRad) * Math.cos(pitchRad);
-            camera.position.y = this.lookAtTarget.y + this.distance * Math.sin(pitchRad);
-            camera.position.z = this.lookAtTarget.z + this.distance * Math.cos(yawRad) * Math.cos(pitchRad);
+        let cameraConfigs = this.getFaceConfigs();
+        
+        // Mid-transition: ease yaw/roll from the previous mode's configs
+        if (this.modeTransition) {
+            const { from, progress } = this.modeTransition;
+            cameraConfigs = cameraConfigs.map((config, i) => ({
+                ...config,
+                yaw: lerpAngle(from[i].yaw, config.yaw, progress),
+                roll: lerpAngle(from[i].roll, config.roll, progress)
+            }));
+        }
+        this.currentFaceConfigs = cameraConfigs;
+        
+        // Reuse camera instances while face count and projection are unchanged, so
+        // composers bound to them keep rendering the updated views
+        const isOrthographic = this.projectionMode === 'orthographic';
+        const offAxis = this.viewer !== null && !isOrthographic;
+        const needsRebuild = this.cameras.length !== cameraConfigs.length ||
+            this.cameras.some(camera => !!camera.isOrthographicCamera !== isOrthographic);
+        
+        if (needsRebuild) {
+            this.cameras = cameraConfigs.map(() => isOrthographic
+                ? new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100)
+                : new THREE.PerspectiveCamera(this.fov, 1, 0.1, 100));
+        }
+        
+        cameraConfigs.forEach((config, i) => {
+            const camera = this.cameras[i];
+            const override = this.faceOverrides.get(this.faceCount, i);
+            camera.name = config.name;
+            camera.userData.faceAngle = config.angle;  // Screen direction, used by RenderManager layout
+            camera.userData.mirror = override.mirror;  // Horizontal flip, applied by RenderManager
+            camera.userData.faceRoll = config.roll;    // Radial image roll, replaced by other layouts' rotation
+            camera.userData.imageRoll = config.roll + override.roll;  // Roll actually applied (with face tuning)
             
+            const yawRad = THREE.MathUtils.degToRad(config.yaw + override.yaw - this.turntable.angle);
             camera.up.set(0, 1, 0);
-            camera.lookAt(this.lookAtTarget);
+            
+            if (offAxis) {
+                // Off-axis: camera at the eye elevation but looking level (perpendicular to
+                // the vertical image plane); the frustum is shifted down onto the target
+                const elevation = THREE.MathUtils.clamp(this.getViewerElevation() + override.pitch, -80, 80);
+                const elevationTan = Math.tan(THREE.MathUtils.degToRad(elevation));
+                const height = distance * elevationTan;
+                
+                this.updateFaceProjection(camera, distance, override, {
+                    elevationTan,
+                    roll: config.roll + override.roll
+                });
+                
+                camera.position.set(
+                    this.lookAtTarget.x + distance * Math.sin(yawRad),
+                    this.lookAtTarget.y + height,
+                    this.lookAtTarget.z + distance * Math.cos(yawRad)
+                );
+                camera.lookAt(this.lookAtTarget.x, this.lookAtTarget.y + height, this.lookAtTarget.z);
+            } else {
+                this.updateFaceProjection(camera, distance, override);
+                
+                // Calculate position using spherical coordinates with user's pitch + face offsets
+                const facePitchRad = THREE.MathUtils.degToRad(pitch + override.pitch);
+                camera.position.x = this.lookAtTarget.x + distance * Math.sin(yawRad) * Math.cos(facePitchRad);
+                camera.position.y = this.lookAtTarget.y + distance * Math.sin(facePitchRad);
+                camera.position.z = this.lookAtTarget.z + distance * Math.cos(yawRad) * Math.cos(facePitchRad);
+                
+                camera.lookAt(this.lookAtTarget);
+            }
             
             // Apply roll rotation to the output image (rotate along view axis)
-            if (config.roll !== 0) {
-                const rollRad = THREE.MathUtils.degToRad(config.roll);
+            const roll = config.roll + override.roll;
+            if (roll !== 0) {
+                const rollRad = THREE.MathUtils.degToRad(roll);
                 camera.rotateZ(rollRad);
             }
+        });
+    }
+    
+    /**
+     * Update FOV / frustum / lens shift of one face camera
+     * @param {THREE.Camera} camera - Face camera
+     * @param {number} distance - Camera distance from lookAtTarget
+     * @param {Object} override - Face override (fov offset, shiftX, shiftY)
+     * @param {{elevationTan: number, roll: number}|null} [offAxis] - Off-axis viewer: tan(eye elevation)
+     *        of a level camera and the face roll (degrees) the shift must follow
+     */
+    updateFaceProjection(camera, distance, override, offAxis = null) {
+        const fov = THREE.MathUtils.clamp(this.fov + override.fov, 1, 170);
+        let shiftX = override.shiftX;
+        let shiftY = override.shiftY;
+        
+        // Off-axis frustum: the target sits `distance·elevationTan` below a level camera;
+        // shift the image up by that height in viewport fractions (half-height = distance·tan(fov/2)),
+        // rotated with the face roll because the shift is applied after it
+        if (offAxis) {
+            const shift = offAxis.elevationTan / (2 * Math.tan(THREE.MathUtils.degToRad(fov / 2)));
+            const rollRad = THREE.MathUtils.degToRad(offAxis.roll);
+            shiftX += shift * Math.sin(rollRad);
+            shiftY += shift * Math.cos(rollRad);
+        }
+        
+        // Lens shift moves the image inside its viewport without changing perspective
+        // (view offset is in viewport fractions; a positive offset moves the window, not the image)
+        if (shiftX !== 0 || shiftY !== 0) {
+            camera.setViewOffset(1, 1, -shiftX, shiftY, 1, 1);
+        } else if (camera.view?.enabled) {
+            camera.clearViewOffset();
+        }
+        
+        if (camera.isOrthographicCamera) {
+            // Frustum fitted to the object's bounding sphere: at the framing distance it
+            // shows the same height at the target as the framed 50° perspective view
+            // (radius / cos(25°)), so switching projection keeps the object size, and
+            // `distance` zooms relative to the framing distance.
+            // FOV offset scales the frustum as a perspective FOV change would
+            const referenceHalf = THREE.MathUtils.degToRad(REFERENCE_FOV / 2);
+            const fovScale = Math.tan(THREE.MathUtils.degToRad((REFERENCE_FOV + override.fov) / 2)) / Math.tan(referenceHalf);
+            const depth = this.objectBounds.radius + this.objectBounds.center.distanceTo(this.lookAtTarget);
+            const zoom = this.distance / this.defaultDistance;
+            const halfHeight = depth * this.frameMargin / Math.cos(referenceHalf) * zoom * fovScale;
+            const aspect = (camera.right - camera.left) / (camera.top - camera.bottom);
             
-            this.cameras.push(camera);
+            // Depth range hugs the object bounds (near may be negative for orthographic)
+            camera.top = halfHeight;
+            camera.bottom = -halfHeight;
+            camera.left = -halfHeight * aspect;
+            camera.right = halfHeight * aspect;
+            camera.near = distance - depth * 1.5;
+            camera.far = distance + depth * 1.5;
+            camera.updateProjectionMatrix();
+            return;
+        }
+        
+        // Narrow calibrated FOVs push cameras far back - keep the object inside the far plane
+        const far = Math.max(100, distance * 2);
+        if (camera.fov !== fov || camera.far !== far) {
+            camera.fov = fov;
+            camera.far = far;
+            camera.updateProjectionMatrix();
         }
     }
     
+    /**
+     * Actual face camera distance for the current FOV
+     * `distance` is the framing distance at the reference 50° FOV; narrower calibrated
+     * FOVs move the cameras back so the object keeps the same size on each face
+     * (orthographic cameras sit at `distance` - their size does not depend on it)
+     * @returns {number}
+     */
+    getFaceDistance() {
+        if (this.projectionMode === 'orthographic') {
+            return this.distance;
+        }
+        
+        const referenceHalf = THREE.MathUtils.degToRad(REFERENCE_FOV / 2);
+        const currentHalf = THREE.MathUtils.degToRad(this.fov / 2);
+        return this.distance * Math.tan(referenceHalf) / Math.tan(currentHalf);
+    }
+    
+    /**
+     * Apply a physical pyramid calibration profile (per-face FOV)
+     * @param {PyramidCalibration|null} calibration - null restores the default 50° FOV
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        this.updateFov();
+        this.setupCameras();
+        console.log(`📐 Face camera FOV set to: ${this.fov.toFixed(1)}°`);
+    }
+    
+    /**
+     * Face FOV from the calibration profile, seen from the viewer distance when one is set
+     */
+    updateFov() {
+        if (!this.calibration) {
+            this.fov = REFERENCE_FOV;
+            return;
+        }
+        this.fov = this.calibration.getFaceFov(this.viewer?.distanceMm);
+    }
+    
+    /**
+     * Set the intended viewing spot for off-axis face projection
+     * 
+     * A person in front of the pyramid sees each reflected image from above or below.
+     * With a viewer set, face cameras sit at the eye elevation but keep looking level
+     * (perpendicular to the vertical image plane of a 45° pyramid) and the frustum is
+     * shifted onto the object, so the image keeps its proportions from that spot.
+     * Replaces the user pitch for face cameras; orthographic faces are unaffected.
+     * 
+     * Usage in console: window.app.cameraManager.setViewer({ eyeHeightMm: 250, distanceMm: 600 })
+     * @param {Object|null} viewer - null restores symmetric projection
+     * @param {number} [viewer.eyeHeightMm=0] - Eye height above the floating image center (negative = below)
+     * @param {number} [viewer.distanceMm] - Horizontal eye distance from the image (default: calibration viewing distance or 500)
+     */
+    setViewer(viewer) {
+        if (viewer) {
+            const distanceMm = viewer.distanceMm ?? this.calibration?.viewingDistanceMm ?? 500;
+            if (!(distanceMm > 0)) {
+                console.error(`❌ Invalid viewer distance: ${distanceMm}`);
+                return;
+            }
+            this.viewer = { eyeHeightMm: viewer.eyeHeightMm ?? 0, distanceMm };
+        } else {
+            this.viewer = null;
+        }
+        
+        this.updateFov();
+        this.setupCameras();
+        console.log(this.viewer
+            ? `👁️  Viewer set: ${this.viewer.eyeHeightMm}mm high, ${this.viewer.distanceMm}mm away (${this.getViewerElevation().toFixed(1)}°)`
+            : '👁️  Viewer cleared (symmetric projection)');
+    }
+    
+    /**
+     * @returns {{eyeHeightMm: number, distanceMm: number}|null}
+     */
+    getViewer() {
+        return this.viewer ? { ...this.viewer } : null;
+    }
+    
+    /**
+     * Eye elevation angle above the image center (degrees)
+     */
+    getViewerElevation() {
+        if (!this.viewer) return 0;
+        return THREE.MathUtils.radToDeg(Math.atan2(this.viewer.eyeHeightMm, this.viewer.distanceMm));
+    }
+    
     updateDistance(distance) {
         this.distance = distance;
         this.userCameraState.distance = distance;
@@ -98,8 +397,7 @@ export class CameraManager {
     
     updateAspect(index, aspect) {
         if (this.cameras[index]) {
-            this.cameras[index].aspect = aspect;
-            this.cameras[index].updateProjectionMatrix();
+            applyCameraAspect(this.cameras[index], aspect);
         }
     }
     
@@ -123,7 +421,7 @@ export class CameraManager {
         
         // Convert spherical coordinates (pitch, yaw) to Cartesian
         const pitchRad = THREE.MathUtils.degToRad(pitch);
-        const yawRad = THREE.MathUtils.degToRad(yaw);
+        const yawRad = THREE.MathUtils.degToRad(yaw - this.turntable.angle);
         
         // Calculate camera position on sphere
         this.singleCamera.position.x = this.lookAtTarget.x + distance * Math.sin(yawRad) * Math.cos(pitchRad);
@@ -148,6 +446,137 @@ export class CameraManager {
         this.setupCameras();
     }
     
+    /**
+     * Configure the turntable (cameras orbit instead of the object rotating)
+     * Usage in console: window.app.cameraManager.setTurntable({ enabled: true, profile: 'ping-pong', range: 30 })
+     * @param {Object} options
+     * @param {boolean} [options.enabled] - Orbit cameras on updateTurntable()
+     * @param {number} [options.speed] - Degrees per second (peak speed for ping-pong)
+     * @param {number} [options.direction] - 1 or -1
+     * @param {string} [options.profile] - 'continuous' or 'ping-pong'
+     * @param {number} [options.range] - Ping-pong swing, degrees either side of the start
+     */
+    setTurntable(options) {
+        const { enabled, speed, direction, profile, range } = options;
+        
+        if (enabled !== undefined) this.turntable.enabled = !!enabled;
+        if (speed !== undefined && speed >= 0) this.turntable.speed = speed;
+        if (direction === 1 || direction === -1) this.turntable.direction = direction;
+        if (range !== undefined && range > 0) this.turntable.range = range;
+        
+        if (profile === 'continuous' || profile === 'ping-pong') {
+            if (profile !== this.turntable.profile) {
+                // Ping-pong swings around the current angle
+                this.turntable.phase = 0;
+                this.turntable.center = this.turntable.angle;
+            }
+            this.turntable.profile = profile;
+        }
+    }
+    
+    /**
+     * @returns {Object} - Copy of the turntable settings (see setTurntable)
+     */
+    getTurntable() {
+        return { ...this.turntable };
+    }
+    
+    /**
+     * Advance the turntable - call once per frame from the animation loop
+     * @param {number} deltaSeconds - Time since the last frame
+     */
+    updateTurntable(deltaSeconds) {
+        const turntable = this.turntable;
+        if (!turntable.enabled || turntable.speed === 0) return;
+        
+        if (turntable.profile === 'ping-pong') {
+            // Sine swing: peak angular speed = speed (degrees per second)
+            turntable.phase += turntable.speed / turntable.range * deltaSeconds;
+            turntable.angle = turntable.center +
+                turntable.direction * turntable.range * Math.sin(turntable.phase);
+        } else {
+            turntable.angle = normalizeAngle(turntable.angle + turntable.direction * turntable.speed * deltaSeconds);
+        }
+        
+        this.setupCameras();
+        this.updateSingleCameraFromState();
+    }
+    
+    /**
+     * Put the turntable at an absolute angle (e.g. synced from another window)
+     * @param {number} angle - Degrees
+     */
+    setTurntableAngle(angle) {
+        if (this.turntable.angle === angle) return;
+    
+        this.turntable.angle = angle;
+        this.setupCameras();
+        this.updateSingleCameraFromState();
+    }
+    
+    /**
+     * Return the cameras to the start of the turntable orbit
+     */
+    resetTurntable() {
+        this.turntable.angle = 0;
+        this.turntable.phase = 0;
+        this.turntable.center = 0;
+        this.setupCameras();
+        this.updateSingleCameraFromState();
+    }
+    
+    /**
+     * Set absolute view angles (e.g. restored from a shared link)
+     * @param {Object} state
+     * @param {number} [state.pitch] - Vertical angle in degrees (clamped to -30°..60°)
+     * @param {number} [state.yaw] - Horizontal angle in degrees
+     */
+    setUserCameraState({ pitch, yaw }) {
+        if (pitch !== undefined) {
+            this.userCameraState.pitch = Math.max(-30, Math.min(60, pitch));
+        }
+        if (yaw !== undefined) {
+            this.userCameraState.yaw = yaw;
+        }
+        
+        this.updateSingleCameraFromState();
+        this.setupCameras();
+    }
+    
+    /**
+     * Move the single view camera closer / further (face cameras are unaffected)
+     * @param {number} distance - Distance from lookAtTarget
+     */
+    setSingleCameraDistance(distance) {
+        this.userCameraState.distance = distance;
+        this.updateSingleCameraFromState();
+    }
+    
+    /**
+     * Shift lookAtTarget (single view pan) and follow with every camera
+     * @param {THREE.Vector3} offset - World-space offset
+     */
+    panLookAtTarget(offset) {
+        this.lookAtTarget.add(offset);
+        this.setupCameras();
+        this.updateSingleCameraFromState();
+    }
+    
+    /**
+     * @returns {{pitch: number, yaw: number, distance: number}} - Copy of the single view camera state
+     */
+    getUserCameraState() {
+        return { ...this.userCameraState };
+    }
+    
+    /**
+     * Face camera framing distance (at the reference FOV)
+     * @returns {number}
+     */
+    getDistance() {
+        return this.distance;
+    }
+    
     getCameras() {
         return this.cameras;
     }
@@ -170,8 +599,7 @@ export class CameraManager {
         const aspectRatio = 1.0;
         
         this.cameras.forEach(camera => {
-            camera.aspect = aspectRatio;
-            camera.updateProjectionMatrix();
+            applyCameraAspect(camera, aspectRatio);
         });
         
         // Update single camera aspect
@@ -191,9 +619,13 @@ export class CameraManager {
     /**
      * Set quadrant rendering mode
      * @param {string} mode - 'unified-front' or 'pepper-ghost'
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=false] - Ease camera yaw/roll instead of switching instantly
+     * @param {number} [options.duration] - Transition duration in seconds (default: transitionOptions)
+     * @param {string} [options.ease] - GSAP ease name (default: transitionOptions)
      * @returns {boolean} - true if mode was changed, false if invalid mode
      */
-    setQuadrantMode(mode) {
+    setQuadrantMode(mode, options = {}) {
         if (mode !== 'pepper-ghost' && mode !== 'unified-front') {
             console.error(`❌ Invalid quadrant mode: ${mode}`);
             return false;
@@ -204,12 +636,219 @@ export class CameraManager {
             return false;
         }
         
+        this.cancelModeTransition();
+        
+        if (options.animate) {
+            // Start from whatever the cameras show now (may be mid-transition)
+            this.modeTransition = { from: this.currentFaceConfigs, progress: 0 };
+            this.modeTransitionTween = gsap.to(this.modeTransition, {
+                progress: 1,
+                duration: options.duration ?? this.transitionOptions.duration,
+                ease: options.ease ?? this.transitionOptions.ease,
+                onUpdate: () => this.setupCameras(),
+                onComplete: () => {
+                    this.modeTransition = null;
+                    this.modeTransitionTween = null;
+                    this.setupCameras();
+                }
+            });
+        }
+        
         this.quadrantMode = mode;
         this.setupCameras();
-        console.log(`📷 Quadrant mode switched to: ${mode}`);
+        console.log(`📷 Quadrant mode switched to: ${mode}${options.animate ? ' (animated)' : ''}`);
+        return true;
+    }
+    
+    /**
+     * Stop a running quadrant mode transition (cameras jump to the current mode)
+     */
+    cancelModeTransition() {
+        if (this.modeTransitionTween) {
+            this.modeTransitionTween.kill();
+            this.modeTransitionTween = null;
+        }
+        this.modeTransition = null;
+    }
+    
+    /**
+     * Set default duration / easing for animated quadrant mode switches
+     * @param {Object} options
+     * @param {number} [options.duration] - Seconds
+     * @param {string} [options.ease] - GSAP ease name (e.g. 'power2.inOut', 'sine.inOut')
+     */
+    setTransitionOptions(options) {
+        this.transitionOptions = { ...this.transitionOptions, ...options };
+    }
+    
+    /**
+     * Check if a quadrant mode transition is running
+     * @returns {boolean}
+     */
+    isTransitioning() {
+        return this.modeTransition !== null;
+    }
+    
+    /**
+     * Set face camera projection mode
+     * @param {string} mode - 'perspective' or 'orthographic'
+     * @returns {boolean} - true if mode was changed, false if invalid or unchanged
+     */
+    setProjectionMode(mode) {
+        if (mode !== 'perspective' && mode !== 'orthographic') {
+            console.error(`❌ Invalid projection mode: ${mode}`);
+            return false;
+        }
+        
+        if (this.projectionMode === mode) {
+            return false;
+        }
+        
+        this.projectionMode = mode;
+        this.setupCameras();
+        console.log(`📷 Projection mode switched to: ${mode}`);
         return true;
     }
     
+    /**
+     * Get current projection mode
+     * @returns {string} - 'perspective' or 'orthographic'
+     */
+    getProjectionMode() {
+        return this.projectionMode;
+    }
+    
+    /**
+     * Size the orthographic frustum to an object's bounds without re-framing
+     * (objects swapped in while keeping the current distance, e.g. primitives)
+     * @param {THREE.Object3D} object - Displayed object
+     */
+    setObjectBounds(object) {
+        if (!object) return;
+        
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) return;
+        
+        box.getBoundingSphere(this.objectBounds);
+        this.setupCameras();
+    }
+    
+    /**
+     * Fit an object into every face from its bounding sphere
+     * 
+     * The sphere is used (not the box) so the object stays inside the face while
+     * it spins. The sphere subtends the reference FOV at the new distance;
+     * getFaceDistance() compensates calibrated FOVs and the orthographic frustum is
+     * sized from the same distance, so both projections stay framed. The result
+     * becomes the new reset distance.
+     * 
+     * @param {THREE.Object3D} object - Displayed object
+     * @param {Object} [options]
+     * @param {number} [options.margin=1.05] - Radius multiplier (1 = sphere touches the face edges)
+     * @param {boolean} [options.apply=true] - false only records bounds and reset distance (keeps the current distance)
+     * @param {boolean} [options.recenter=false] - Also move lookAtTarget to the bounds center
+     * @returns {number|null} - New framing distance, or null for an empty object
+     */
+    frameObject(object, options = {}) {
+        if (!object) return null;
+        
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) return null;
+        
+        box.getBoundingSphere(this.objectBounds);
+        if (options.recenter) {
+            this.lookAtTarget.copy(this.objectBounds.center);
+        }
+        
+        // Off-target objects must fit on their far side too
+        const margin = options.margin ?? 1.05;
+        this.frameMargin = margin;
+        const radius = (this.objectBounds.radius + this.objectBounds.center.distanceTo(this.lookAtTarget)) * margin;
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(REFERENCE_FOV / 2));
+        
+        this.defaultDistance = distance;
+        if (options.apply === false) {
+            this.setupCameras();
+            this.updateSingleCameraFromState();
+        } else {
+            this.updateDistance(distance);
+        }
+        console.log(`🎯 Framed object: radius=${this.objectBounds.radius.toFixed(2)}, distance=${distance.toFixed(2)}`);
+        return distance;
+    }
+    
+    /**
+     * Distance set by the last frameObject() call (or the constructor default)
+     * @returns {number}
+     */
+    getDefaultDistance() {
+        return this.defaultDistance;
+    }
+    
+    /**
+     * Adjust one face camera on top of the generated layout (saved for this device)
+     * Usage in console: window.app.cameraManager.setFaceOverride(0, { yaw: 2, shiftY: 0.05 })
+     * @param {number} index - Face index (camera order, 0 = Front)
+     * @param {Object} values - Partial override: yaw, pitch, roll, fov (degrees), shiftX, shiftY, mirror
+     */
+    setFaceOverride(index, values) {
+        if (index < 0 || index >= this.faceCount) {
+            console.error(`❌ Invalid face index: ${index}`);
+            return;
+        }
+        
+        this.faceOverrides.set(this.faceCount, index, values);
+        this.setupCameras();
+    }
+    
+    /**
+     * Get the current override for one face
+     * @param {number} index - Face index (camera order, 0 = Front)
+     */
+    getFaceOverride(index) {
+        return this.faceOverrides.get(this.faceCount, index);
+    }
+    
+    /**
+     * Reset one face (or all faces) of the current pyramid to the generated layout
+     * @param {number} [index] - Face index; omit to reset every face
+     */
+    resetFaceOverrides(index) {
+        this.faceOverrides.reset(this.faceCount, index);
+        this.setupCameras();
+        console.log(`🔄 Face overrides reset${index === undefined ? '' : ` for face ${index}`}`);
+    }
+    
+    /**
+     * Set the number of pyramid faces (one camera per face)
+     * @param {number} count - One of SUPPORTED_FACE_COUNTS (3, 4, 6, 8)
+     * @returns {boolean} - true if face count was changed, false if invalid or unchanged
+     */
+    setFaceCount(count) {
+        if (!SUPPORTED_FACE_COUNTS.includes(count)) {
+            console.error(`❌ Invalid face count: ${count} (supported: ${SUPPORTED_FACE_COUNTS.join(', ')})`);
+            return false;
+        }
+        
+        if (this.faceCount === count) {
+            return false;
+        }
+        
+        this.cancelModeTransition();
+        this.faceCount = count;
+        this.setupCameras();
+        console.log(`🔺 Face count switched to: ${count}`);
+        return true;
+    }
+    
+    /**
+     * Get current number of pyramid faces
+     * @returns {number}
+     */
+    getFaceCount() {
+        return this.faceCount;
+    }
+    
     /**
      * Get current quadrant mode
      * @returns {string} - Current mode ('unified-front' or 'pepper-ghost')
@@ -217,4 +856,14 @@ export class CameraManager {
     getQuadrantMode() {
         return this.quadrantMode;
     }
+    
+    /**
+     * Stop running transitions and drop the cameras (cameras hold no GPU resources)
+     */
+    dispose() {
+        this.cancelModeTransition();
+        this.cameras = [];
+        this.singleCamera = null;
+        console.log('🗑️  CameraManager disposed');
+    }
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+const HDRI_PATH = `${import.meta.env.BASE_URL}hdri/`;  // public/hdri, served with the app
+
+/**
+ * EnvironmentPresets - IBL environments that ship with the app
+ *
+ * Bundled presets are small equirectangular HDRIs in public/hdri (512×256 Radiance
+ * .hdr, CC0 from Poly Haven), served with the app so they work offline and give
+ * real reflections. Each falls back to `basic`, the one preset generated here
+ * (a sky / ground gradient plus rectangular light panels), if its file can't be
+ * loaded. SceneManager prefilters all of them exactly like a loaded .hdr/.exr.
+ *
+ * A file preset: { label, url, fallback }. A generated preset:
+ *
+ *   {
+ *       label: 'Basic',
+ *       sky: [r, g, b],        // linear HDR color straight up
+ *       horizon: [r, g, b],    // at the horizon (sky and ground blend into it)
+ *       ground: [r, g, b],     // straight down
+ *       lights: [{
+ *           azimuth: 45,       // degrees around the vertical axis
+ *           elevation: 30,     // degrees above the horizon
+ *           width: 40,         // angular size in degrees
+ *           height: 25,
+ *           color: [1, 1, 1],
+ *           intensity: 10      // multiplier on color (HDR: > 1 is brighter than white)
+ *       }]
+ *   }
+ */
+export const ENVIRONMENT_PRESETS = {
+    studio: {
+        label: 'Studio',
+        url: `${HDRI_PATH}studio.hdr`,
+        fallback: 'basic'
+    },
+    warehouse: {
+        label: 'Warehouse',
+        url: `${HDRI_PATH}warehouse.hdr`,
+        fallback: 'basic'
+    },
+    sunset: {
+        label: 'Sunset',
+        url: `${HDRI_PATH}sunset.hdr`,
+        fallback: 'basic'
+    },
+    night: {
+        label: 'Night',
+        url: `${HDRI_PATH}night.hdr`,
+        fallback: 'basic'
+    },
+    esplanade: {
+        label: 'Esplanade (online)',
+        url: 'https://threejs.org/examples/textures/equirectangular/royal_esplanade_1k.hdr',
+        fallback: 'studio'
+    },
+    basic: {
+        label: 'Basic (generated)',
+        sky: [0.22, 0.22, 0.24],
+        horizon: [0.16, 0.16, 0.17],
+        ground: [0.04, 0.04, 0.04],
+        lights: [
+            { azimuth: 45, elevation: 35, width: 40, height: 25, color: [1, 1, 1], intensity: 12 },      // Key softbox
+            { azimuth: -60, elevation: 20, width: 30, height: 30, color: [1, 1, 1], intensity: 4 },      // Fill
+            { azimuth: 0, elevation: 80, width: 60, height: 15, color: [1, 1, 1], intensity: 6 },        // Overhead
+            { azimuth: 170, elevation: 25, width: 15, height: 45, color: [1, 1, 1], intensity: 8 }       // Rim strip
+        ]
+    }
+};
+
+export const DEFAULT_ENVIRONMENT = 'studio';
+
+/**
+ * Render a generated preset into an equirectangular HDR texture
+ * @param {Object} preset - Preset description (see ENVIRONMENT_PRESETS)
+ * @param {number} [width=512] - Texture width (height is half of it)
+ * @returns {THREE.DataTexture} - Half float RGBA, EquirectangularReflectionMapping
+ */
+export function createPresetTexture(preset, width = 512) {
+    const height = width / 2;
+    const data = new Uint16Array(width * height * 4);
+    const color = [0, 0, 0];
+
+    for (let y = 0; y < height; y++) {
+        // Row 0 is the bottom of the texture (flipY is off): straight down
+        const elevation = ((y + 0.5) / height - 0.5) * 180;
+
+        for (let x = 0; x < width; x++) {
+            const azimuth = ((x + 0.5) / width - 0.5) * 360;
+
+            // Gradient: horizon → sky above, horizon → ground below
+            const t = Math.sqrt(Math.abs(elevation) / 90);
+            const end = elevation >= 0 ? preset.sky : preset.ground;
+            for (let c = 0; c < 3; c++) {
+                color[c] = preset.horizon[c] + (end[c] - preset.horizon[c]) * t;
+            }
+
+            preset.lights.forEach(light => {
+                const weight = getPanelWeight(light, azimuth, elevation);
+                if (weight <= 0) return;
+                for (let c = 0; c < 3; c++) {
+                    color[c] += light.color[c] * light.intensity * weight;
+                }
+            });
+
+            const i = (y * width + x) * 4;
+            data[i] = THREE.DataUtils.toHalfFloat(color[0]);
+            data[i + 1] = THREE.DataUtils.toHalfFloat(color[1]);
+            data[i + 2] = THREE.DataUtils.toHalfFloat(color[2]);
+            data[i + 3] = THREE.DataUtils.toHalfFloat(1);
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.HalfFloatType);
+    texture.mapping = THREE.EquirectangularReflectionMapping;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Coverage of a light panel at a direction, with soft edges so reflections
+ * don't alias
+ * @returns {number} - 0..1
+ */
+function getPanelWeight(light, azimuth, elevation) {
+    // Shortest way round for the azimuth
+    const dAzimuth = Math.abs(((azimuth - light.azimuth) % 360 + 540) % 360 - 180);
+    const dElevation = Math.abs(elevation - light.elevation);
+    return softEdge(dAzimuth / (light.width / 2)) * softEdge(dElevation / (light.height / 2));
+}
+
+function softEdge(x) {
+    return 1 - THREE.MathUtils.smoothstep(x, 0.8, 1.2);
+}
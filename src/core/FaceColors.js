@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'pepperGhost.faceColors';
+const LEGACY_STORAGE_KEY = 'pepperGhost.calibration';  // Face colors used to live in the calibration profile
+
+/**
+ * Neutral per-face color compensation (see FaceColors.set)
+ * - exposure: stops (EV), 0 = unchanged
+ * - gamma:    > 1 lifts mid tones, < 1 darkens them
+ * - contrast: around middle grey, 1 = unchanged
+ * - gain:     linear RGB multipliers (tint)
+ */
+export const DEFAULT_FACE_COLOR = Object.freeze({
+    exposure: 0,
+    gamma: 1,
+    contrast: 1,
+    gain: Object.freeze([1, 1, 1])
+});
+
+/**
+ * FaceColors - Per-face color compensation, persisted in localStorage on every change
+ *
+ * Every facet reflects a little differently (coating, viewing angle, screen
+ * uniformity), so each face can be corrected until all reflections look equally
+ * bright and neutral. Independent of the physical calibration profile: colors
+ * can be matched on the automatic layout too.
+ */
+export class FaceColors {
+    constructor(colors = []) {
+        this.colors = Array.from(colors, color => color ? normalizeFaceColor(color) : null);  // Per face index, null = neutral
+    }
+
+    /**
+     * Color compensation of one face (defaults filled in)
+     * @param {number} index - Face index (camera order, 0 = Front)
+     * @returns {{exposure: number, gamma: number, contrast: number, gain: number[]}}
+     */
+    get(index) {
+        const color = this.colors[index];
+        return color ? { ...color, gain: [...color.gain] } : { ...DEFAULT_FACE_COLOR, gain: [...DEFAULT_FACE_COLOR.gain] };
+    }
+
+    /**
+     * Compensation for the composite pass
+     * @param {number} index - Face index
+     * @returns {Object|null} - null if the face is neutral
+     */
+    getCompensation(index) {
+        return this.colors[index] ?? null;
+    }
+
+    /**
+     * Merge new values into one face's compensation and persist
+     * @param {number} index - Face index (camera order, 0 = Front)
+     * @param {Object} values - Partial: exposure, gamma, contrast, gain ([r, g, b])
+     */
+    set(index, values) {
+        const color = normalizeFaceColor({ ...this.get(index), ...values });
+        this.colors[index] = isNeutral(color) ? null : color;
+        this.save();
+    }
+
+    /**
+     * Reset one face (or every face) to neutral color and persist
+     * @param {number} [index] - Face index; omit to reset every face
+     */
+    reset(index) {
+        if (index === undefined) {
+            this.colors = [];
+        } else {
+            this.colors[index] = null;
+        }
+        this.save();
+    }
+
+    /**
+     * @returns {boolean} - true if any face has a color compensation
+     */
+    hasAny() {
+        return this.colors.some(Boolean);
+    }
+
+    toJSON() {
+        return Array.from(this.colors, color => color ?? null);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('⚠️  Failed to save face colors:', error);
+        }
+    }
+
+    /**
+     * Load the face colors saved on this device (or the ones an older calibration profile carried)
+     * @returns {FaceColors}
+     */
+    static load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) return new FaceColors(JSON.parse(stored));
+
+            // Move them out before the next calibration save drops them
+            const legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+            const faceColors = new FaceColors(Array.isArray(legacy?.faceColors) ? legacy.faceColors : []);
+            if (faceColors.hasAny()) faceColors.save();
+            return faceColors;
+        } catch (error) {
+            console.warn('⚠️  Failed to load face colors:', error);
+            return new FaceColors();
+        }
+    }
+}
+
+/**
+ * Fill in defaults and keep values in a usable range
+ */
+function normalizeFaceColor(values) {
+    const gain = Array.isArray(values.gain) ? values.gain : DEFAULT_FACE_COLOR.gain;
+    return {
+        exposure: clampNumber(values.exposure, DEFAULT_FACE_COLOR.exposure, -4, 4),
+        gamma: clampNumber(values.gamma, DEFAULT_FACE_COLOR.gamma, 0.2, 5),
+        contrast: clampNumber(values.contrast, DEFAULT_FACE_COLOR.contrast, 0.2, 5),
+        gain: [0, 1, 2].map(i => clampNumber(gain[i], 1, 0, 4))
+    };
+}
+
+function clampNumber(value, fallback, min, max) {
+    const number = Number(value ?? fallback);
+    return Number.isFinite(number) ? THREE.MathUtils.clamp(number, min, max) : fallback;
+}
+
+function isNeutral(color) {
+    return color.exposure === DEFAULT_FACE_COLOR.exposure &&
+        color.gamma === DEFAULT_FACE_COLOR.gamma &&
+        color.contrast === DEFAULT_FACE_COLOR.contrast &&
+        color.gain.every(value => value === 1);
+}
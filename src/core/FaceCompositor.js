@@ -0,0 +1,326 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { CopyShader } from 'three/examples/jsm/shaders/CopyShader.js';
+import { getMaskHalfSize } from './FaceMasks.js';
+
+/**
+ * Places one face texture on the canvas: flips, rotates in quarter turns, applies
+ * the per-face color compensation and the face mask, then tone maps and converts
+ * to the output color space. Render targets stay linear HDR until this pass.
+ */
+const FaceShader = {
+    uniforms: {
+        map: { value: null },
+        flipX: { value: false },
+        maskEnabled: { value: false },
+        maskCenter: { value: new THREE.Vector2() },  // Face center (composite units)
+        maskAxisX: { value: new THREE.Vector2() },   // Image right / half width
+        maskAxisY: { value: new THREE.Vector2() },   // Image up / half height
+        maskEdge: { value: new THREE.Vector2(1, 0) },  // Shape: |x| <= edge.x + edge.y * y (see FaceMasks)
+        maskFeather: { value: 0 },
+        maskFalloff: { value: 0 },
+        maskFalloffStart: { value: 0.6 },
+        colorEnabled: { value: false },
+        colorExposure: { value: 1 },                   // Linear multiplier (2^stops)
+        colorGamma: { value: 1 },
+        colorContrast: { value: 1 },
+        colorGain: { value: new THREE.Vector3(1, 1, 1) }
+    },
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        varying vec2 vPosition;
+
+        void main() {
+            vUv = uv;
+            vPosition = (modelMatrix * vec4(position, 1.0)).xy;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */`
+        uniform sampler2D map;
+        uniform bool flipX;
+        uniform bool maskEnabled;
+        uniform vec2 maskCenter;
+        uniform vec2 maskAxisX;
+        uniform vec2 maskAxisY;
+        uniform vec2 maskEdge;
+        uniform float maskFeather;
+        uniform float maskFalloff;
+        uniform float maskFalloffStart;
+        uniform bool colorEnabled;
+        uniform float colorExposure;
+        uniform float colorGamma;
+        uniform float colorContrast;
+        uniform vec3 colorGain;
+        varying vec2 vUv;
+        varying vec2 vPosition;
+
+        void main() {
+            vec2 uv = flipX ? vec2(1.0 - vUv.x, vUv.y) : vUv;
+            gl_FragColor = texture2D(map, uv);
+
+            if (colorEnabled) {
+                // Scene-linear HDR, before tone mapping: contrast pivots on middle grey
+                vec3 color = max(gl_FragColor.rgb * colorGain * colorExposure, 0.0);
+                color = 0.18 * pow(color / 0.18, vec3(colorContrast));
+                gl_FragColor.rgb = pow(color, vec3(1.0 / colorGamma));
+            }
+
+            if (maskEnabled) {
+                // Face image space: -1..1 across the face, +y = image top
+                vec2 offset = vPosition - maskCenter;
+                vec2 p = vec2(dot(offset, maskAxisX), dot(offset, maskAxisY));
+
+                float side = (maskEdge.x + maskEdge.y * p.y - abs(p.x)) / sqrt(1.0 + maskEdge.y * maskEdge.y);
+                float box = min(1.0 - abs(p.x), 1.0 - abs(p.y));
+                float mask = smoothstep(0.0, max(maskFeather, 0.0001), min(side, box));
+                mask *= 1.0 - maskFalloff * smoothstep(maskFalloffStart, 1.0, length(p));
+
+                gl_FragColor *= mask;
+            }
+
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+/**
+ * FaceCompositor - Renders each face into its own render target, then composites
+ * all faces onto the canvas in a single pass
+ *
+ * - Render targets match the face viewport size (× pixel ratio), so post effects
+ *   run at face resolution instead of full-screen
+ * - One shared EffectComposer can serve every face (its output is copied into the face target)
+ * - The composite pass places each face, turns it in quarter turns and mirrors it
+ *   with a UV flip (the scene itself is never reflected)
+ *
+ * Owned by RenderManager - see RenderManager.renderQuadrants().
+ */
+export class FaceCompositor {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.targets = [];  // One WebGLRenderTarget per face index
+        this.pixelRatio = null;  // Overrides the renderer pixel ratio for face targets (offscreen export)
+        this.samples = 4;  // MSAA samples of the face targets (see setSamples)
+
+        // Composite scene in canvas CSS pixels (origin bottom-left, like WebGL viewports)
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(0, 1, 1, 0, -1, 1);
+        this.geometry = new THREE.PlaneGeometry(1, 1);
+        this.quads = [];    // Mesh per face index, reused across frames
+        this.composerSizes = new WeakMap();  // Composer → last { width, height } it was sized to
+
+        this.copyQuad = new FullScreenQuad(new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(CopyShader.uniforms),
+            vertexShader: CopyShader.vertexShader,
+            fragmentShader: CopyShader.fragmentShader
+        }));
+    }
+
+    /**
+     * Render one face into its render target
+     * @param {number} index - Face index (target slot)
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera} camera - Face camera (aspect already set)
+     * @param {number} width - Face width in CSS pixels
+     * @param {number} height - Face height in CSS pixels
+     * @param {EffectComposer|null} composer - Face post-processing chain (RenderPass scene and camera already set), or null
+     */
+    renderFace(index, scene, camera, width, height, composer = null) {
+        const pixelRatio = this.pixelRatio ?? this.renderer.getPixelRatio();
+        const target = this.getTarget(index, Math.round(width * pixelRatio), Math.round(height * pixelRatio));
+
+        if (composer) {
+            composer.renderToScreen = false;
+            const size = this.composerSizes.get(composer);
+            if (!size || size.width !== width || size.height !== height) {
+                composer.setSize(width, height);
+                this.composerSizes.set(composer, { width, height });
+            }
+            composer.render();
+
+            // Composer output ends up in its read buffer - keep a copy for this face
+            this.copy(composer.readBuffer.texture, target);
+        } else {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear();
+            this.renderer.render(scene, camera);
+        }
+
+        this.renderer.setRenderTarget(null);
+    }
+
+    /**
+     * Copy a texture into a render target (no tone mapping - targets stay linear)
+     * @param {THREE.Texture} texture - Source texture
+     * @param {THREE.WebGLRenderTarget} target - Destination, filled over its current viewport
+     */
+    copy(texture, target) {
+        this.copyQuad.material.uniforms.tDiffuse.value = texture;
+        this.renderer.setRenderTarget(target);
+        this.copyQuad.render(this.renderer);
+    }
+
+    /**
+     * Draw faces onto the canvas in one pass
+     * @param {Array<{index: number, x: number, y: number, width: number, height: number,
+     *         quarterTurns?: number, mirror?: boolean, texture?: THREE.Texture,
+     *         roll?: number, mask?: Object, color?: Object}>} faces
+     *        Screen rects (CSS pixels, origin bottom-left). `quarterTurns` turns the
+     *        texture clockwise; `mirror` flips the result horizontally on screen.
+     *        `texture` replaces the face target (e.g. a composer output for single view).
+     *        `mask` (from resolveFaceMask) is laid out along the image axes given by
+     *        `roll` (degrees, clockwise) and scales with the rect.
+     *        `color` ({exposure, gamma, contrast, gain}, see FaceColors) corrects the face.
+     * @param {number} canvasWidth - Canvas width (CSS pixels)
+     * @param {number} canvasHeight - Canvas height (CSS pixels)
+     * @param {THREE.WebGLRenderTarget|null} [outputTarget=null] - Draw into this target instead of
+     *        the canvas (pixel sized like the canvas size given; stays linear, no tone mapping)
+     */
+    composite(faces, canvasWidth, canvasHeight, outputTarget = null) {
+        this.camera.right = canvasWidth;
+        this.camera.top = canvasHeight;
+        this.camera.updateProjectionMatrix();
+
+        this.quads.forEach(quad => { quad.visible = false; });
+
+        faces.forEach(face => {
+            const texture = face.texture ?? this.targets[face.index]?.texture;
+            if (!texture || face.width <= 0 || face.height <= 0) return;
+
+            const quad = this.getQuad(face.index);
+            const turns = (((face.quarterTurns || 0) % 4) + 4) % 4;
+
+            // Screen flip after a rotation = texture flip before the opposite rotation
+            const angle = (face.mirror ? turns : -turns) * Math.PI / 2;
+            const sideways = turns % 2 === 1;
+
+            quad.visible = true;
+            quad.material.uniforms.map.value = texture;
+            quad.material.uniforms.flipX.value = !!face.mirror;
+            quad.position.set(face.x + face.width / 2, face.y + face.height / 2, 0);
+            quad.rotation.z = angle;
+            quad.scale.set(sideways ? face.height : face.width, sideways ? face.width : face.height, 1);
+
+            this.setMask(quad.material.uniforms, face);
+            this.setColor(quad.material.uniforms, face);
+        });
+
+        if (outputTarget) {
+            // Composite units map onto the whole target, whatever its pixel ratio
+            outputTarget.viewport.set(0, 0, outputTarget.width, outputTarget.height);
+            outputTarget.scissorTest = false;
+            this.renderer.setRenderTarget(outputTarget);
+        } else {
+            this.renderer.setRenderTarget(null);
+            this.renderer.setViewport(0, 0, canvasWidth, canvasHeight);
+            this.renderer.setScissor(0, 0, canvasWidth, canvasHeight);
+        }
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(null);
+    }
+
+    /**
+     * Point the mask uniforms at a face rect (mask off if the face has none)
+     */
+    setMask(uniforms, face) {
+        uniforms.maskEnabled.value = !!face.mask;
+        if (!face.mask) return;
+
+        const roll = face.roll ?? 0;
+        const rad = THREE.MathUtils.degToRad(roll);
+        const { halfX, halfY } = getMaskHalfSize(face, roll);
+
+        // Positive roll turns the image clockwise: up = (sin, cos), right = (cos, -sin)
+        uniforms.maskCenter.value.set(face.x + face.width / 2, face.y + face.height / 2);
+        uniforms.maskAxisX.value.set(Math.cos(rad), -Math.sin(rad)).divideScalar(Math.max(halfX, 1e-3));
+        uniforms.maskAxisY.value.set(Math.sin(rad), Math.cos(rad)).divideScalar(Math.max(halfY, 1e-3));
+        uniforms.maskEdge.value.fromArray(face.mask.edge);
+        uniforms.maskFeather.value = face.mask.feather;
+        uniforms.maskFalloff.value = face.mask.falloff;
+        uniforms.maskFalloffStart.value = face.mask.falloffStart;
+    }
+
+    /**
+     * Point the color uniforms at a face's compensation (off if the face has none)
+     */
+    setColor(uniforms, face) {
+        uniforms.colorEnabled.value = !!face.color;
+        if (!face.color) return;
+
+        uniforms.colorExposure.value = Math.pow(2, face.color.exposure);
+        uniforms.colorGamma.value = face.color.gamma;
+        uniforms.colorContrast.value = face.color.contrast;
+        uniforms.colorGain.value.fromArray(face.color.gain);
+    }
+
+    getTarget(index, width, height) {
+        let target = this.targets[index];
+        if (!target) {
+            target = new THREE.WebGLRenderTarget(width, height, {
+                type: THREE.HalfFloatType,  // Linear HDR - tone mapped in the composite pass
+                samples: this.samples
+            });
+            this.targets[index] = target;
+        } else if (target.width !== width || target.height !== height) {
+            target.setSize(width, height);
+        }
+        return target;
+    }
+
+    getQuad(index) {
+        if (!this.quads[index]) {
+            const quad = new THREE.Mesh(this.geometry, new THREE.ShaderMaterial({
+                uniforms: THREE.UniformsUtils.clone(FaceShader.uniforms),
+                vertexShader: FaceShader.vertexShader,
+                fragmentShader: FaceShader.fragmentShader,
+                depthTest: false,
+                depthWrite: false
+            }));
+            this.quads[index] = quad;
+            this.scene.add(quad);
+        }
+        return this.quads[index];
+    }
+
+    /**
+     * Change the MSAA sample count of the face targets (0 = no antialiasing)
+     * Targets are recreated on the next frame.
+     * @param {number} samples
+     */
+    setSamples(samples) {
+        if (samples === this.samples) return;
+
+        this.samples = samples;
+        this.reset();
+    }
+
+    /**
+     * Drop every face target (recreated on the next frame), e.g. after a context loss
+     */
+    reset() {
+        this.targets.forEach(target => target?.dispose());
+        this.targets = [];
+    }
+
+    /**
+     * Release render targets and quads beyond the given face count
+     * @param {number} count - Faces still in use
+     */
+    trim(count) {
+        this.targets.splice(count).forEach(target => target?.dispose());
+        this.quads.splice(count).forEach(quad => {
+            if (!quad) return;
+            this.scene.remove(quad);
+            quad.material.dispose();
+        });
+    }
+
+    dispose() {
+        this.trim(0);
+        this.geometry.dispose();
+        this.copyQuad.material.dispose();
+        this.copyQuad.dispose();
+    }
+}
@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+/**
+ * FaceMasks - Shapes that limit each face to the lit area of its pyramid facet
+ *
+ * A mask description (per layout, see ViewportLayouts, or RenderManager.setFaceMask):
+ *
+ *   {
+ *       shape: 'facet',        // 'facet' | 'trapezoid' | 'triangle' | 'rect'
+ *       apexWidth: 0.4,        // trapezoid only: apex-side width as a fraction of the base side
+ *       feather: 0.04,         // soft edge width, fraction of half the face size
+ *       falloff: 0,            // radial darkening towards the face rim, 0 (off) .. 1 (black rim)
+ *       falloffStart: 0.6      // radius where the falloff starts, fraction of half the face size
+ *   }
+ *
+ * Shapes are in face image space. Face images stand with their bottom towards the
+ * pyramid apex (see CameraManager face roll), so the narrow end is the image bottom.
+ * - facet:     wedge between the pyramid edges (the dashed lines of the alignment
+ *              overlay), from the layout center and the face count - the area that
+ *              actually reflects into this face, whichever way the image is turned
+ * - trapezoid: full width at the image top narrowing to `apexWidth` at the bottom
+ * - triangle:  trapezoid with a point at the bottom
+ * - rect:      the whole face, only feathered / falloff
+ *
+ * Every shape is "|x| <= a + b·y" inside the face rect (x, y in -1..1), so the
+ * compositor evaluates them all with one formula.
+ */
+
+/**
+ * Turn a mask description into the compositor's parameters for one face
+ * @param {Object|null} spec - Mask description (null = no mask)
+ * @param {Object} face
+ * @param {{x: number, y: number, width: number, height: number}} face.viewport - WebGL viewport
+ * @param {number} face.roll - Image roll in degrees (positive = clockwise on screen)
+ * @param {{x: number, y: number}} face.center - Pyramid axis on screen (WebGL coordinates)
+ * @param {number} face.faceCount - Pyramid face count
+ * @returns {{edge: number[], feather: number, falloff: number, falloffStart: number}|null}
+ */
+export function resolveFaceMask(spec, { viewport, roll, center, faceCount }) {
+    if (!spec || spec.shape === 'none') return null;
+
+    let edge;
+    switch (spec.shape ?? 'rect') {
+        case 'facet': {
+            // Image axes on screen and half sizes along them (as the compositor uses)
+            const { halfX, halfY } = getMaskHalfSize(viewport, roll);
+            const rad = THREE.MathUtils.degToRad(roll);
+            const up = { x: Math.sin(rad), y: Math.cos(rad) };
+
+            // Apex position along the image up axis, wedge half angle = 180° / faces.
+            // The wedge widens away from the apex: |X| <= |Y - apex| · tan(half angle)
+            const apex = (center.x - (viewport.x + viewport.width / 2)) * up.x +
+                (center.y - (viewport.y + viewport.height / 2)) * up.y;
+            const away = apex > 0 ? -1 : 1;
+            const slope = Math.tan(Math.PI / Math.max(faceCount, 3)) / halfX;
+            edge = [Math.abs(apex) * slope, away * halfY * slope];
+            break;
+        }
+        case 'trapezoid':
+        case 'triangle': {
+            const apexWidth = spec.shape === 'triangle' ? 0 : THREE.MathUtils.clamp(spec.apexWidth ?? 0.4, 0, 1);
+            edge = [(1 + apexWidth) / 2, (1 - apexWidth) / 2];
+            break;
+        }
+        case 'rect':
+            edge = [1, 0];
+            break;
+        default:
+            console.warn(`⚠️  Unknown face mask shape: ${spec.shape}`);
+            return null;
+    }
+
+    return {
+        edge,
+        feather: Math.max(spec.feather ?? 0.04, 0),
+        falloff: THREE.MathUtils.clamp(spec.falloff ?? 0, 0, 1),
+        falloffStart: spec.falloffStart ?? 0.6
+    };
+}
+
+/**
+ * Half size of the face image along its own axes (CSS pixels): the whole rect for
+ * right-angle rolls, otherwise the square that fits (same as the alignment overlay)
+ * @param {{width: number, height: number}} rect
+ * @param {number} roll - Image roll in degrees
+ * @returns {{halfX: number, halfY: number}}
+ */
+export function getMaskHalfSize(rect, roll) {
+    const turns = Math.round(roll / 90);
+    if (Math.abs(roll - turns * 90) < 0.01) {
+        const sideways = Math.abs(turns) % 2 === 1;
+        return {
+            halfX: (sideways ? rect.height : rect.width) / 2,
+            halfY: (sideways ? rect.width : rect.height) / 2
+        };
+    }
+    const half = Math.min(rect.width, rect.height) / 2;
+    return { halfX: half, halfY: half };
+}
+
+/**
+ * Pyramid axis on screen: mean of the face viewport centers
+ * @param {({x: number, y: number, width: number, height: number}|null)[]} viewports
+ * @returns {{x: number, y: number}|null} - WebGL coordinates, null without faces
+ */
+export function getViewportCenter(viewports) {
+    const faces = viewports.filter(Boolean);
+    if (faces.length === 0) return null;
+
+    return {
+        x: faces.reduce((sum, v) => sum + v.x + v.width / 2, 0) / faces.length,
+        y: faces.reduce((sum, v) => sum + v.y + v.height / 2, 0) / faces.length
+    };
+}
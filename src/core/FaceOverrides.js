@@ -0,0 +1,85 @@
+const STORAGE_KEY = 'pepperGhost.faceOverrides';
+
+/**
+ * Neutral per-face adjustment (no change to the generated camera)
+ */
+export const DEFAULT_FACE_OVERRIDE = Object.freeze({
+    yaw: 0,         // Degrees added to the face yaw
+    pitch: 0,       // Degrees added to the user pitch
+    roll: 0,        // Degrees added to the face roll
+    fov: 0,         // Degrees added to the face FOV (scales the frustum for orthographic)
+    shiftX: 0,      // Horizontal image shift, fraction of the viewport width (+ = right)
+    shiftY: 0,      // Vertical image shift, fraction of the viewport height (+ = up)
+    mirror: false   // Flip the face image horizontally
+});
+
+/**
+ * FaceOverrides - Per-face camera corrections for asymmetric pyramids
+ *
+ * Offsets are stored per face count (a hexagon and a square pyramid on the same
+ * device have different faces) and persisted in localStorage on every change.
+ */
+export class FaceOverrides {
+    constructor(data = {}) {
+        this.data = data;  // { [faceCount]: Array<Partial<DEFAULT_FACE_OVERRIDE>> }
+    }
+
+    /**
+     * Get the full override for one face (defaults filled in)
+     * @param {number} faceCount - Number of pyramid faces
+     * @param {number} index - Face index (camera order)
+     */
+    get(faceCount, index) {
+        const faces = this.data[faceCount] || [];
+        return { ...DEFAULT_FACE_OVERRIDE, ...faces[index] };
+    }
+
+    /**
+     * Merge new values into one face's override and persist
+     * @param {number} faceCount - Number of pyramid faces
+     * @param {number} index - Face index (camera order)
+     * @param {Object} values - Partial override
+     */
+    set(faceCount, index, values) {
+        const faces = this.data[faceCount] || [];
+        faces[index] = { ...this.get(faceCount, index), ...values };
+        this.data[faceCount] = faces;
+        this.save();
+    }
+
+    /**
+     * Reset one face, or every face of a pyramid, back to defaults
+     * @param {number} faceCount - Number of pyramid faces
+     * @param {number} [index] - Face index; omit to reset all faces
+     */
+    reset(faceCount, index) {
+        if (index === undefined) {
+            delete this.data[faceCount];
+        } else if (this.data[faceCount]) {
+            this.data[faceCount][index] = { ...DEFAULT_FACE_OVERRIDE };
+        }
+        this.save();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('⚠️  Failed to save face overrides:', error);
+        }
+    }
+
+    /**
+     * Load the overrides saved on this device
+     * @returns {FaceOverrides}
+     */
+    static load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return new FaceOverrides(stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            console.warn('⚠️  Failed to load face overrides:', error);
+            return new FaceOverrides();
+        }
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * ModelFileSet - The files of one glTF model, served to GLTFLoader from blob URLs
+ *
+ * A .gltf references its buffers and images by relative URI ("scene.bin",
+ * "textures/base%20color.png"). Picked or dropped files have no URL the loader
+ * can fetch, so each file gets a blob URL, keyed by its path relative to the
+ * picked/dropped folder, and `resolve()` maps the loader's URLs onto them
+ * (LoadingManager.setURLModifier). Files picked without their folder structure
+ * are found by file name.
+ *
+ * Usage:
+ *   const fileSet = await ModelFileSet.fromDataTransfer(event.dataTransfer);
+ *   const missing = fileSet.findMissing(json, fileSet.getBasePath(modelFile));
+ *   manager.setURLModifier((url) => fileSet.resolve(url));
+ *   ...
+ *   fileSet.dispose();  // revoke the blob URLs once the model has loaded
+ */
+
+const GLB_MAGIC = 0x46546C67;      // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+
+export class ModelFileSet {
+    /**
+     * @param {Array<File|{file: File, path: string}>} files - Files, optionally with
+     *        their path inside a dropped folder (defaults to webkitRelativePath or name)
+     */
+    constructor(files) {
+        this.entries = Array.from(files, (item) => {
+            const file = item instanceof File ? item : item.file;
+            const path = item instanceof File ? (file.webkitRelativePath || file.name) : item.path;
+            return { file, path: normalizePath(path), url: null };
+        });
+        this.byPath = new Map(this.entries.map(entry => [entry.path, entry]));
+        this.byName = new Map();
+        this.entries.forEach(entry => {
+            const name = getFileName(entry.path);
+            if (!this.byName.has(name)) this.byName.set(name, entry);
+        });
+    }
+
+    /**
+     * Collect dropped files, walking into dropped folders
+     * @param {DataTransfer} dataTransfer
+     * @returns {Promise<ModelFileSet>}
+     */
+    static async fromDataTransfer(dataTransfer) {
+        // Entries must be taken synchronously, the DataTransfer is emptied after the event
+        const entries = Array.from(dataTransfer.items || [])
+            .filter(item => item.kind === 'file')
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return new ModelFileSet(Array.from(dataTransfer.files));
+        }
+
+        const files = [];
+        await Promise.all(entries.map(entry => readEntry(entry, files)));
+        return new ModelFileSet(files);
+    }
+
+    /**
+     * The model to load: the top-most .glb/.gltf (a folder may also hold other models)
+     * @returns {File|null}
+     */
+    getModelFile() {
+        const models = this.entries
+            .filter(entry => /\.(glb|gltf)$/i.test(entry.path))
+            .sort((a, b) => a.path.split('/').length - b.path.split('/').length);
+
+        if (models.length > 1) {
+            console.warn(`⚠️  ${models.length} models in the selection, loading ${models[0].path}`);
+        }
+        return models[0]?.file ?? null;
+    }
+
+    /**
+     * Folder of a file in the set, the base for its relative URIs
+     * @param {File} file
+     * @returns {string} - e.g. 'car/' or ''
+     */
+    getBasePath(file) {
+        const entry = this.entries.find(candidate => candidate.file === file);
+        const path = entry ? entry.path : file.name;
+        return path.slice(0, path.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Find the entry a loader URL refers to
+     * @param {string} url - Relative URL as resolved by the loader (may be percent-encoded)
+     * @returns {Object|undefined}
+     */
+    find(url) {
+        let path;
+        try {
+            path = normalizePath(decodeURIComponent(url));
+        } catch {
+            path = normalizePath(url);
+        }
+        return this.byPath.get(path) || this.byName.get(getFileName(path));
+    }
+
+    /**
+     * URL modifier for THREE.LoadingManager
+     * @param {string} url
+     * @returns {string} - Blob URL of the matching file, or the URL unchanged
+     */
+    resolve(url) {
+        if (/^(data|blob):/i.test(url)) return url;
+
+        const entry = this.find(url);
+        if (!entry) return url;
+
+        if (!entry.url) entry.url = URL.createObjectURL(entry.file);
+        return entry.url;
+    }
+
+    /**
+     * External buffers and images of a glTF that are not in the set
+     * @param {Object} json - Parsed glTF JSON
+     * @param {string} [basePath=''] - Folder of the .gltf within the set
+     * @returns {string[]} - Missing URIs (as written in the glTF)
+     */
+    findMissing(json, basePath = '') {
+        const uris = [...(json.buffers || []), ...(json.images || [])]
+            .map(resource => resource.uri)
+            .filter(uri => uri && !/^(data|blob|https?):/i.test(uri));
+
+        return [...new Set(uris)].filter(uri => !this.find(basePath + uri));
+    }
+
+    /**
+     * Revoke the blob URLs
+     */
+    dispose() {
+        this.entries.forEach(entry => {
+            if (entry.url) URL.revokeObjectURL(entry.url);
+            entry.url = null;
+        });
+    }
+}
+
+/**
+ * The JSON of a .gltf, or the JSON chunk of a .glb
+ * @param {ArrayBuffer} buffer
+ * @returns {Object}
+ */
+export function readGltfJson(buffer) {
+    const view = new DataView(buffer);
+    let text;
+    if (buffer.byteLength >= 20 && view.getUint32(0, true) === GLB_MAGIC) {
+        const length = view.getUint32(12, true);
+        if (view.getUint32(16, true) !== GLB_CHUNK_JSON) {
+            throw new Error('Invalid .glb: the first chunk is not JSON');
+        }
+        text = new TextDecoder().decode(new Uint8Array(buffer, 20, length));
+    } else {
+        text = new TextDecoder().decode(buffer);
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Add the files below a FileSystemEntry to `files` as { file, path }
+ */
+async function readEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ file, path: entry.fullPath });
+    } else if (entry.isDirectory) {
+        const children = await readDirectory(entry.createReader());
+        await Promise.all(children.map(child => readEntry(child, files)));
+    }
+}
+
+/**
+ * readEntries() returns a directory in batches (100 in Chrome) until it returns none
+ */
+async function readDirectory(reader) {
+    const children = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) return children;
+        children.push(...batch);
+    }
+}
+
+/**
+ * 'textures/../scene.bin' → 'scene.bin', '/car/scene.gltf' → 'car/scene.gltf'
+ */
+function normalizePath(path) {
+    const parts = [];
+    path.replace(/\\/g, '/').split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+function getFileName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+/**
+ * FXAA needs the size of one pixel, which ShaderPass doesn't track
+ */
+class FXAAPass extends ShaderPass {
+    constructor() {
+        super(FXAAShader);
+    }
+
+    setSize(width, height) {
+        this.uniforms.resolution.value.set(1 / width, 1 / height);
+    }
+}
+
+/**
+ * Bloom whose blur chain (the expensive part) can run at a fraction of the composer
+ * size; the composer keeps resizing it with the full size
+ */
+class ScaledBloomPass extends UnrealBloomPass {
+    constructor(resolution, strength, radius, threshold) {
+        super(resolution, strength, radius, threshold);
+        this.fullSize = resolution.clone();  // Size from the composer's last resize
+        this.resolutionScale = 1;
+    }
+
+    setSize(width, height) {
+        this.fullSize.set(width, height);
+        super.setSize(
+            Math.max(1, Math.round(width * this.resolutionScale)),
+            Math.max(1, Math.round(height * this.resolutionScale))
+        );
+    }
+
+    /**
+     * @param {number} scale - 1 = full resolution
+     */
+    setResolutionScale(scale) {
+        this.resolutionScale = scale;
+        this.setSize(this.fullSize.x, this.fullSize.y);
+    }
+}
+
+/**
+ * Base pass of output composers: tone maps and converts a linear HDR texture
+ * (the composited frame, set before each render) to the output color space
+ */
+class ToneMapPass extends OutputPass {
+    constructor() {
+        super();
+        this.map = null;
+    }
+
+    render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+        super.render(renderer, writeBuffer, { texture: this.map ?? readBuffer.texture }, deltaTime, maskActive);
+    }
+}
+
+/**
+ * Pass types: create(params) builds a pass, update(pass, params) applies changed parameters.
+ * `output: true` marks display-referred passes: they run once on the tone mapped frame
+ * instead of on each face's linear HDR image.
+ */
+const passTypes = new Map();
+
+/**
+ * Add or replace a pass type
+ * @param {string} type - Name used in stack entries ({ type: 'my-pass' })
+ * @param {{create: (params: Object) => Pass, update?: (pass: Pass, params: Object) => void, output?: boolean}} definition
+ */
+export function registerPassType(type, definition) {
+    if (typeof definition?.create !== 'function') {
+        console.error(`❌ Pass type "${type}" needs a create(params) function`);
+        return;
+    }
+    passTypes.set(type, definition);
+}
+
+/**
+ * @returns {string[]} - Registered pass types
+ */
+export function getPassTypes() {
+    return [...passTypes.keys()];
+}
+
+// Bloom: { strength, radius, threshold }
+registerPassType('bloom', {
+    create: (params) => new ScaledBloomPass(
+        new THREE.Vector2(256, 256),  // Resized with the composer
+        params.strength ?? 1.5,
+        params.radius ?? 0.4,
+        params.threshold ?? 0.1
+    ),
+    update: (pass, params) => {
+        if (params.strength !== undefined) pass.strength = params.strength;
+        if (params.radius !== undefined) pass.radius = params.radius;
+        if (params.threshold !== undefined) pass.threshold = params.threshold;
+    }
+});
+
+// Fast approximate antialiasing (no parameters) - edge detection needs display luma
+registerPassType('fxaa', {
+    output: true,
+    create: () => new FXAAPass()
+});
+
+// Vignette: { offset, darkness } - blends towards a display color
+registerPassType('vignette', {
+    output: true,
+    create: (params) => {
+        const pass = new ShaderPass(VignetteShader);
+        pass.uniforms.offset.value = params.offset ?? 1.0;
+        pass.uniforms.darkness.value = params.darkness ?? 1.0;
+        return pass;
+    },
+    update: (pass, params) => {
+        if (params.offset !== undefined) pass.uniforms.offset.value = params.offset;
+        if (params.darkness !== undefined) pass.uniforms.darkness.value = params.darkness;
+    }
+});
+
+/**
+ * PostProcessingStack - Declarative post-processing shared by single view and every face
+ *
+ * A stack is a list of passes applied in order after the scene render:
+ *
+ *   [
+ *       { type: 'bloom', strength: 1.5, radius: 0.4, threshold: 0.1 },
+ *       { type: 'fxaa' },
+ *       { type: 'vignette', darkness: 1.2, enabled: false }
+ *   ]
+ *
+ * `id` (default: the type) addresses an entry for updates, `enabled` (default true)
+ * switches it on and off, everything else is passed to the pass type.
+ *
+ * The stack builds any number of EffectComposers (RenderManager keeps one for single
+ * view and one shared by the faces) and keeps their passes in sync. Composers never
+ * render to the screen: the result stays linear HDR in the composer's read buffer and
+ * is tone mapped by FaceCompositor when placed on the canvas.
+ *
+ * Passes that only make sense after tone mapping (`fxaa`, `vignette`) are left out of
+ * those composers. They run in an output composer instead, on the whole composited
+ * frame: it tone maps the frame, applies them and draws the result (see renderOutput).
+ *
+ * Usage:
+ *   const stack = new PostProcessingStack(renderer);
+ *   stack.setPasses([{ type: 'bloom', strength: 1.2 }, { type: 'fxaa' }]);
+ *   const composer = stack.createComposer();
+ *   stack.updatePass('bloom', { strength: 2 });
+ *   stack.setPassEnabled('fxaa', false);
+ */
+export class PostProcessingStack {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.entries = [];               // { id, type, enabled, params }
+        this.composers = [];             // Composers built by this stack
+        this.composerPasses = new WeakMap();  // Composer → Map(entry id → pass)
+        this.outputComposers = new WeakSet();  // Composers running the display-referred passes
+    }
+
+    /**
+     * Replace the whole stack (every composer is rebuilt)
+     * @param {Object[]} passes - Stack entries ({ type, id?, enabled?, ...params })
+     */
+    setPasses(passes = []) {
+        const ids = new Set();
+        this.entries = [];
+
+        passes.forEach(({ type, id = type, enabled = true, ...params }) => {
+            if (!passTypes.has(type)) {
+                console.warn(`⚠️  Unknown post-processing pass type: ${type} (available: ${getPassTypes().join(', ')})`);
+                return;
+            }
+            if (ids.has(id)) {
+                console.warn(`⚠️  Duplicate post-processing pass id: ${id} - give it an explicit id`);
+                return;
+            }
+            ids.add(id);
+            this.entries.push({ id, type, enabled, output: !!passTypes.get(type).output, params });
+        });
+
+        this.composers.forEach(composer => this.buildPasses(composer));
+        console.log(`✨ Post-processing stack: ${this.entries.map(e => e.id).join(' → ') || '(empty)'}`);
+    }
+
+    /**
+     * Current stack, in the format setPasses() takes
+     * @returns {Object[]}
+     */
+    getPasses() {
+        return this.entries.map(({ id, type, enabled, params }) => ({ id, type, enabled, ...params }));
+    }
+
+    /**
+     * @param {boolean} [output=false] - Ask about the output passes instead of the HDR passes
+     * @returns {boolean} - true if at least one pass of that kind is enabled
+     */
+    hasActivePasses(output = false) {
+        return this.entries.some(entry => entry.enabled && entry.output === output);
+    }
+
+    /**
+     * Change parameters of one entry on every composer
+     * @param {string} id - Entry id
+     * @param {Object} params - Parameters to change
+     * @returns {boolean} - false if there is no such entry
+     */
+    updatePass(id, params) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) {
+            console.warn(`⚠️  No post-processing pass with id: ${id}`);
+            return false;
+        }
+
+        Object.assign(entry.params, params);
+        const update = passTypes.get(entry.type).update;
+        this.composers.forEach(composer => {
+            const pass = this.composerPasses.get(composer).get(id);
+            if (pass && update) update(pass, params);
+        });
+        return true;
+    }
+
+    /**
+     * Switch one entry on or off on every composer
+     * @param {string} id - Entry id
+     * @param {boolean} enabled
+     * @returns {boolean} - false if there is no such entry
+     */
+    setPassEnabled(id, enabled) {
+        const entry = this.entries.find(e => e.id === id);
+        if (!entry) {
+            console.warn(`⚠️  No post-processing pass with id: ${id}`);
+            return false;
+        }
+
+        entry.enabled = enabled;
+        this.composers.forEach(composer => {
+            const pass = this.composerPasses.get(composer).get(id);
+            if (pass) pass.enabled = enabled;
+        });
+        return true;
+    }
+
+    /**
+     * Build a composer running this stack: a RenderPass (scene and camera are set
+     * before each render) followed by the stack's HDR passes, or for `output` a tone
+     * mapping pass followed by the output passes (LDR targets at canvas size)
+     * @param {Object} [options]
+     * @param {boolean} [options.output=false] - Build an output composer (see renderOutput)
+     * @returns {EffectComposer}
+     */
+    createComposer({ output = false } = {}) {
+        let composer;
+        if (output) {
+            const size = this.renderer.getSize(new THREE.Vector2());
+            composer = new EffectComposer(this.renderer, new THREE.WebGLRenderTarget(1, 1));
+            composer.setSize(size.width, size.height);
+            composer.addPass(new ToneMapPass());
+            this.outputComposers.add(composer);
+        } else {
+            composer = new EffectComposer(this.renderer);
+            composer.renderToScreen = false;
+            composer.addPass(new RenderPass(null, null));
+        }
+
+        this.composers.push(composer);
+        this.buildPasses(composer);
+        return composer;
+    }
+
+    /**
+     * Render the scene through a composer; the result is in composer.readBuffer
+     * @param {EffectComposer} composer - From createComposer()
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     */
+    render(composer, scene, camera) {
+        const renderPass = composer.passes[0];
+        renderPass.scene = scene;
+        renderPass.camera = camera;
+        composer.renderToScreen = false;
+        composer.render();
+    }
+
+    /**
+     * Tone map a composited frame and run the output passes on it
+     * @param {EffectComposer} composer - From createComposer({ output: true })
+     * @param {THREE.Texture} texture - Linear HDR frame
+     * @param {boolean} toScreen - Draw the result on the canvas; otherwise it is in composer.readBuffer
+     */
+    renderOutput(composer, texture, toScreen) {
+        composer.passes[0].map = texture;
+        composer.renderToScreen = toScreen;
+        composer.render();
+    }
+
+    /**
+     * Replace a composer's stack passes with fresh ones for the current entries
+     */
+    buildPasses(composer) {
+        composer.passes.slice(1).forEach(pass => {
+            composer.removePass(pass);
+            pass.dispose?.();
+        });
+
+        const output = this.outputComposers.has(composer);
+        const passes = new Map();
+        this.entries.filter(entry => entry.output === output).forEach(entry => {
+            const pass = passTypes.get(entry.type).create(entry.params);
+            pass.enabled = entry.enabled;
+            composer.addPass(pass);
+            passes.set(entry.id, pass);
+        });
+        this.composerPasses.set(composer, passes);
+    }
+
+    /**
+     * Dispose every composer and its passes
+     */
+    dispose() {
+        this.composers.forEach(composer => {
+            composer.passes.forEach(pass => pass.dispose?.());
+            composer.dispose();
+        });
+        this.composers = [];
+    }
+}
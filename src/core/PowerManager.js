@@ -0,0 +1,251 @@
+/**
+ * PowerManager - Keeps kiosk devices cool and awake only while it matters
+ *
+ * - Hidden page (visibilitychange): frames are skipped until it is visible again
+ * - Frame cap: renders at most `maxFps` frames per second (0 = display rate)
+ * - Idle dimming: after `idleTimeout` seconds without interaction the picture fades
+ *   to `dimLevel` of its exposure (RenderManager.setExposureScale, so the exposure
+ *   setting itself is untouched); any interaction brings it back
+ * - Screen Wake Lock: held while the page is visible and `isShowRunning()` says a
+ *   show is on, released otherwise (the browser also drops it when the page hides)
+ *
+ * Usage:
+ *   const power = new PowerManager({ renderManager, maxFps: 30, isShowRunning: () => app.isAnimating });
+ *   // at the top of every requestAnimationFrame callback:
+ *   const deltaSeconds = power.frame();
+ *   if (deltaSeconds === null) return;  // hidden or capped: skip this frame
+ *   stepAnimation(deltaSeconds);
+ */
+
+const MAX_DELTA = 0.1;        // s - longer frame steps are clamped (pauses, stalls)
+const DIM_DURATION = 3;       // s - fade from full brightness to black (dimming stops at dimLevel)
+const WAKE_DURATION = 0.4;    // s - fade from black to full brightness
+const WAKE_LOCK_RETRY = 10000; // ms before asking again after a refused wake lock
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+export class PowerManager {
+    /**
+     * @param {Object} options
+     * @param {RenderManager} options.renderManager
+     * @param {number} [options.maxFps=0] - Frame cap, 0 = uncapped
+     * @param {number} [options.idleTimeout=300] - Seconds without interaction before dimming, 0 = never
+     * @param {number} [options.dimLevel=0.25] - Exposure multiplier while idle
+     * @param {boolean} [options.wakeLock=true] - Hold a Screen Wake Lock while a show is running
+     * @param {() => boolean} [options.isShowRunning] - Whether a show is on (default: always)
+     */
+    constructor(options = {}) {
+        this.renderManager = options.renderManager;
+        this.maxFps = 0;
+        this.idleTimeout = options.idleTimeout ?? 300;
+        this.dimLevel = options.dimLevel ?? 0.25;
+        this.wakeLockEnabled = options.wakeLock ?? true;
+        this.isShowRunning = options.isShowRunning || (() => true);
+
+        this.hidden = document.hidden;
+        this.lastFrameTime = null;       // Last rendered frame (ms)
+        this.lastActivity = performance.now();
+        this.dimmed = false;
+        this.wakeLock = null;            // WakeLockSentinel while held
+        this.wakeLockPending = false;
+        this.wakeLockRetryAt = 0;
+
+        this.onVisibilityChange = () => this.handleVisibilityChange();
+        this.onActivity = () => this.notifyActivity();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        ACTIVITY_EVENTS.forEach(type => {
+            window.addEventListener(type, this.onActivity, { passive: true });
+        });
+
+        this.setMaxFps(options.maxFps ?? 0);
+    }
+
+    /**
+     * Decide whether to render this frame - call at the top of every rAF callback
+     * @param {number} [now=performance.now()] - Frame time in ms
+     * @returns {number|null} - Seconds since the last rendered frame (clamped),
+     *          or null to skip this frame (page hidden or frame cap)
+     */
+    frame(now = performance.now()) {
+        if (this.hidden) return null;
+
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = now;
+            this.update(now, 1 / 60);
+            return 1 / 60;
+        }
+
+        const elapsed = now - this.lastFrameTime;
+        if (this.maxFps > 0) {
+            const interval = 1000 / this.maxFps;
+            // rAF timestamps jitter by a fraction of a millisecond around the display rate
+            if (elapsed < interval - 1) return null;
+            // Carry the remainder so e.g. 24fps on a 60Hz display alternates 3 and 2 frames
+            this.lastFrameTime = elapsed < interval * 2 ? now - (elapsed % interval) : now;
+        } else {
+            this.lastFrameTime = now;
+        }
+
+        const deltaSeconds = Math.min(elapsed / 1000, MAX_DELTA);
+        this.update(now, deltaSeconds);
+        return deltaSeconds;
+    }
+
+    /**
+     * Idle dimming and wake lock, once per rendered frame
+     */
+    update(now, deltaSeconds) {
+        const idle = this.idleTimeout > 0 && now - this.lastActivity > this.idleTimeout * 1000;
+        if (idle !== this.dimmed) {
+            this.dimmed = idle;
+            console.log(idle ? '🌙 Idle - dimming the display' : '☀️  Activity - full brightness');
+        }
+
+        // Fade the exposure towards the target
+        const scale = this.renderManager.getExposureScale();
+        const target = this.dimmed ? this.dimLevel : 1;
+        if (scale !== target) {
+            const step = deltaSeconds / (this.dimmed ? DIM_DURATION : WAKE_DURATION);
+            this.renderManager.setExposureScale(scale < target ?
+                Math.min(scale + step, target) :
+                Math.max(scale - step, target));
+        }
+
+        this.updateWakeLock(now);
+    }
+
+    /**
+     * Count as user interaction (pointer and key events are tracked already;
+     * apps call this for their own inputs, e.g. accelerometer taps)
+     */
+    notifyActivity() {
+        this.lastActivity = performance.now();
+    }
+
+    handleVisibilityChange() {
+        this.hidden = document.hidden;
+        if (this.hidden) {
+            console.log('⏸️  Page hidden - rendering paused');
+        } else {
+            // Coming back to the page counts as interaction; no catch-up frame step
+            console.log('▶️  Page visible - rendering resumed');
+            this.lastFrameTime = null;
+            this.notifyActivity();
+        }
+    }
+
+    updateWakeLock(now) {
+        const wanted = this.wakeLockEnabled && !this.hidden && this.isShowRunning();
+        if (wanted && !this.wakeLock && !this.wakeLockPending && now >= this.wakeLockRetryAt) {
+            this.requestWakeLock();
+        } else if (!wanted && this.wakeLock) {
+            this.releaseWakeLock();
+        }
+    }
+
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator)) {
+            console.warn('⚠️  Screen Wake Lock not supported - the display may sleep during shows');
+            this.wakeLockEnabled = false;
+            return;
+        }
+
+        this.wakeLockPending = true;
+        try {
+            const sentinel = await navigator.wakeLock.request('screen');
+            if (!this.wakeLockEnabled) {
+                // Disabled (or disposed) while the request was pending
+                sentinel.release().catch(() => {});
+                return;
+            }
+            sentinel.addEventListener('release', () => {
+                if (this.wakeLock === sentinel) this.wakeLock = null;
+            });
+            this.wakeLock = sentinel;
+            console.log('🔆 Screen wake lock held');
+        } catch (error) {
+            // Refused (not visible yet, permissions policy, battery saver): try again later
+            console.warn('⚠️  Screen wake lock refused:', error.message);
+            this.wakeLockRetryAt = performance.now() + WAKE_LOCK_RETRY;
+        } finally {
+            this.wakeLockPending = false;
+        }
+    }
+
+    releaseWakeLock() {
+        const sentinel = this.wakeLock;
+        this.wakeLock = null;
+        sentinel?.release().catch(() => {});
+        console.log('🔅 Screen wake lock released');
+    }
+
+    /**
+     * Cap the frame rate
+     * Usage in console: window.app.powerManager.setMaxFps(30)
+     * @param {number} fps - Frames per second, 0 = display rate
+     */
+    setMaxFps(fps) {
+        this.maxFps = Math.max(fps || 0, 0);
+        this.lastFrameTime = null;
+        // Capped frames are not slow frames for adaptive quality
+        this.renderManager.setTargetFrameRate(this.maxFps > 0 ? Math.min(this.maxFps, 60) : 60);
+        console.log(`🔋 Frame cap: ${this.maxFps > 0 ? `${this.maxFps} fps` : 'off'}`);
+    }
+
+    /**
+     * Configure idle dimming
+     * Usage in console: window.app.powerManager.setIdleDimming({ timeout: 120, level: 0.3 })
+     * @param {Object} options
+     * @param {number} [options.timeout] - Seconds without interaction, 0 = never dim
+     * @param {number} [options.level] - Exposure multiplier while dimmed (0..1)
+     */
+    setIdleDimming({ timeout, level } = {}) {
+        if (timeout !== undefined) this.idleTimeout = Math.max(timeout, 0);
+        if (level !== undefined) this.dimLevel = Math.min(Math.max(level, 0), 1);
+        this.notifyActivity();
+        console.log(`🌙 Idle dimming: ${this.idleTimeout > 0 ? `after ${this.idleTimeout}s to ${Math.round(this.dimLevel * 100)}%` : 'off'}`);
+    }
+
+    /**
+     * Hold the Screen Wake Lock during shows (or never)
+     * @param {boolean} enabled
+     */
+    setWakeLock(enabled) {
+        this.wakeLockEnabled = enabled;
+        this.wakeLockRetryAt = 0;
+        if (!enabled && this.wakeLock) this.releaseWakeLock();
+    }
+
+    /**
+     * @returns {boolean} - true while the page is hidden and rendering is paused
+     */
+    isPaused() {
+        return this.hidden;
+    }
+
+    /**
+     * @returns {Object} - { paused, maxFps, dimmed, idleTimeout, dimLevel, wakeLock }
+     */
+    getStatus() {
+        return {
+            paused: this.hidden,
+            maxFps: this.maxFps,
+            dimmed: this.dimmed,
+            idleTimeout: this.idleTimeout,
+            dimLevel: this.dimLevel,
+            wakeLock: this.wakeLock !== null
+        };
+    }
+
+    /**
+     * Remove listeners and release the wake lock
+     */
+    dispose() {
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        ACTIVITY_EVENTS.forEach(type => {
+            window.removeEventListener(type, this.onActivity, { passive: true });
+        });
+        if (this.wakeLock) this.releaseWakeLock();
+        this.wakeLockEnabled = false;
+        this.renderManager.setExposureScale(1);
+    }
+}
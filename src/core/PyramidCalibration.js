@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'pepperGhost.calibration';
+
+/**
+ * PyramidCalibration - Physical description of the screen + acrylic pyramid
+ *
+ * Ties the on-screen layout to the real hardware:
+ * - Viewport size = radial depth of one facet footprint (base edge to apex gap)
+ * - Center gap    = half the apex opening (screen center to inner viewport edge)
+ * - Face FOV      = angle the reflected image subtends from the viewing distance
+ *
+ * All lengths are in millimetres, pixel density is in CSS pixels per millimetre.
+ *
+ * Usage:
+ *   const calibration = new PyramidCalibration({ screenWidthMm: 250, baseWidthMm: 170 });
+ *   renderManager.setCalibration(calibration);
+ *   cameraManager.setCalibration(calibration);
+ *   calibration.save();
+ */
+export class PyramidCalibration {
+    constructor(options = {}) {
+        this.screenWidthMm = options.screenWidthMm ?? 250;      // Physical width of the display area
+        this.screenHeightMm = options.screenHeightMm ?? 174;    // Physical height of the display area
+        this.pixelDensity = options.pixelDensity ?? null;       // CSS px per mm (null = derive from screen width)
+        this.baseWidthMm = options.baseWidthMm ?? 170;          // Pyramid base, flat edge to flat edge
+        this.apexGapMm = options.apexGapMm ?? 10;               // Opening at the (truncated) apex
+        this.facetAngle = options.facetAngle ?? 45;             // Angle between facet and screen (degrees)
+        this.viewingDistanceMm = options.viewingDistanceMm ?? 500; // Nominal audience distance
+    }
+
+    /**
+     * Check that the profile describes a physically possible pyramid
+     * @returns {boolean}
+     */
+    isValid() {
+        return this.screenWidthMm > 0 &&
+            this.screenHeightMm > 0 &&
+            this.baseWidthMm > this.apexGapMm &&
+            this.apexGapMm >= 0 &&
+            this.facetAngle > 0 && this.facetAngle < 90 &&
+            this.viewingDistanceMm > 0;
+    }
+
+    /**
+     * CSS pixels per millimetre
+     * @param {number} cssWidth - Canvas width in CSS pixels (used when no explicit density is set)
+     */
+    getPixelDensity(cssWidth) {
+        return this.pixelDensity || cssWidth / this.screenWidthMm;
+    }
+
+    /**
+     * Radial depth of one facet footprint on the screen (mm)
+     */
+    getFaceDepthMm() {
+        return (this.baseWidthMm - this.apexGapMm) / 2;
+    }
+
+    /**
+     * Viewport edge length in CSS pixels
+     * @param {number} cssWidth - Canvas width in CSS pixels
+     */
+    getViewportSize(cssWidth) {
+        return this.getFaceDepthMm() * this.getPixelDensity(cssWidth);
+    }
+
+    /**
+     * Distance from the screen center to the inner edge of each viewport, in CSS pixels
+     * @param {number} cssWidth - Canvas width in CSS pixels
+     */
+    getCenterGap(cssWidth) {
+        return (this.apexGapMm / 2) * this.getPixelDensity(cssWidth);
+    }
+
+    /**
+     * Vertical FOV (degrees) matching the reflected image seen from the viewing distance
+     *
+     * The facet mirrors the screen footprint into a plane tilted 2×facetAngle from the
+     * screen (vertical for a 45° pyramid), so its apparent height is depth × sin(2θ).
+     * @param {number} [viewingDistanceMm] - Eye distance (default: profile viewing distance)
+     */
+    getFaceFov(viewingDistanceMm = this.viewingDistanceMm) {
+        const facetRad = THREE.MathUtils.degToRad(this.facetAngle);
+        const imageHeight = this.getFaceDepthMm() * Math.sin(2 * facetRad);
+        return THREE.MathUtils.radToDeg(2 * Math.atan(imageHeight / 2 / viewingDistanceMm));
+    }
+
+    toJSON() {
+        return {
+            screenWidthMm: this.screenWidthMm,
+            screenHeightMm: this.screenHeightMm,
+            pixelDensity: this.pixelDensity,
+            baseWidthMm: this.baseWidthMm,
+            apexGapMm: this.apexGapMm,
+            facetAngle: this.facetAngle,
+            viewingDistanceMm: this.viewingDistanceMm
+        };
+    }
+
+    /**
+     * Persist profile for this device
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+            console.log('💾 Calibration profile saved');
+        } catch (error) {
+            console.warn('⚠️  Failed to save calibration profile:', error);
+        }
+    }
+
+    /**
+     * Load the profile saved on this device
+     * @returns {PyramidCalibration|null} - null if nothing stored or stored profile is invalid
+     */
+    static load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (!stored) return null;
+
+            const calibration = new PyramidCalibration(JSON.parse(stored));
+            return calibration.isValid() ? calibration : null;
+        } catch (error) {
+            console.warn('⚠️  Failed to load calibration profile:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the profile saved on this device
+     */
+    static clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️  Failed to clear calibration profile:', error);
+        }
+    }
+}
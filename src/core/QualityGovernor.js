@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+/**
+ * Quality tiers, best first. RenderManager applies the renderer settings,
+ * apps scale their own effects (e.g. FlameEffect particles) by particleScale.
+ * - maxPixelRatio: cap on window.devicePixelRatio
+ * - shadowType:    THREE shadow map type, null = shadows off
+ * - bloomScale:    bloom blur resolution relative to the composer size
+ * - samples:       MSAA samples of the face render targets
+ * - particleScale: fraction of particles effects should draw
+ */
+export const QUALITY_TIERS = [
+    { name: 'high', maxPixelRatio: Infinity, shadowType: THREE.PCFSoftShadowMap, bloomScale: 1, samples: 4, particleScale: 1 },
+    { name: 'medium', maxPixelRatio: 1.5, shadowType: THREE.PCFShadowMap, bloomScale: 0.5, samples: 2, particleScale: 0.75 },
+    { name: 'low', maxPixelRatio: 1, shadowType: THREE.BasicShadowMap, bloomScale: 0.5, samples: 0, particleScale: 0.5 },
+    { name: 'minimal', maxPixelRatio: 0.75, shadowType: null, bloomScale: 0.25, samples: 0, particleScale: 0.35 }
+];
+
+/**
+ * QualityGovernor - Picks a quality tier from measured frame times
+ *
+ * Frame times are averaged over windows of `windowSeconds`:
+ * - Slower than `downgradeFps` for `downgradeWindows` windows in a row → one tier down
+ * - At `targetFps` (within 5%) for `upgradeWindows` windows in a row → one tier up
+ *
+ * Hysteresis: upgrading needs far more evidence than downgrading, and every time an
+ * upgrade has to be taken back the wait before the next upgrade doubles (up to
+ * `maxUpgradeWindows`), so a device on the edge settles instead of flipping.
+ * Windows right after a change are skipped (shader recompiles, reallocations),
+ * and long gaps (hidden tab, offline rendering) restart the window.
+ *
+ * Usage:
+ *   const governor = new QualityGovernor({ targetFps: 60 });
+ *   // every frame:
+ *   const tier = governor.sample(performance.now());
+ *   if (tier) applyTier(tier);  // non-null only when the tier changed
+ */
+export class QualityGovernor {
+    constructor(options = {}) {
+        this.tiers = options.tiers ?? QUALITY_TIERS;
+        this.targetFps = options.targetFps ?? 60;
+        this.downgradeFps = options.downgradeFps ?? 50;
+        this.windowSeconds = options.windowSeconds ?? 1;
+        this.downgradeWindows = options.downgradeWindows ?? 2;
+        this.upgradeWindows = options.upgradeWindows ?? 5;
+        this.maxUpgradeWindows = options.maxUpgradeWindows ?? 60;
+        this.maxFrameGap = options.maxFrameGap ?? 250;  // ms - longer frames are pauses, not slowness
+
+        this.enabled = options.enabled ?? true;
+        this.tierIndex = 0;
+        this.upgradeWait = this.upgradeWindows;  // Grows when upgrades fail
+        this.windowCount = 0;                    // Measurement windows so far
+        this.upgradedAt = -Infinity;             // Window count of the last upgrade
+        this.reset();
+    }
+
+    /**
+     * Start measuring afresh (keeps the current tier)
+     */
+    reset() {
+        this.lastTime = null;
+        this.windowStart = null;
+        this.windowFrames = 0;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.skipWindows = 1;   // Ignore the first window after a change
+    }
+
+    /**
+     * Record a frame
+     * @param {number} now - Timestamp in ms (performance.now())
+     * @returns {Object|null} - The new tier if it changed, otherwise null
+     */
+    sample(now) {
+        if (!this.enabled) return null;
+
+        if (this.lastTime === null || now - this.lastTime > this.maxFrameGap) {
+            // First frame or resumed after a pause: start a new window
+            this.lastTime = now;
+            this.windowStart = now;
+            this.windowFrames = 0;
+            return null;
+        }
+
+        this.lastTime = now;
+        this.windowFrames++;
+
+        const elapsed = now - this.windowStart;
+        if (elapsed < this.windowSeconds * 1000) return null;
+
+        const fps = (this.windowFrames * 1000) / elapsed;
+        this.windowStart = now;
+        this.windowFrames = 0;
+        this.windowCount++;
+
+        if (this.skipWindows > 0) {
+            this.skipWindows--;
+            return null;
+        }
+
+        return this.evaluate(fps);
+    }
+
+    /**
+     * Judge one measurement window
+     * @param {number} fps - Average frame rate of the window
+     * @returns {Object|null} - The new tier if it changed
+     */
+    evaluate(fps) {
+        if (fps < this.downgradeFps) {
+            this.fastWindows = 0;
+            if (++this.slowWindows < this.downgradeWindows) return null;
+            if (this.tierIndex >= this.tiers.length - 1) return null;
+
+            // Upgrade taken back within as long as it took to earn: be more patient next time
+            if (this.windowCount - this.upgradedAt <= this.upgradeWait) {
+                this.upgradeWait = Math.min(this.upgradeWait * 2, this.maxUpgradeWindows);
+            }
+            return this.changeTier(this.tierIndex + 1, fps);
+        }
+
+        this.slowWindows = 0;
+        if (fps < this.targetFps * 0.95) {
+            // Between the thresholds: hold the current tier
+            this.fastWindows = 0;
+            return null;
+        }
+
+        if (++this.fastWindows < this.upgradeWait) return null;
+        if (this.tierIndex === 0) return null;
+
+        this.upgradedAt = this.windowCount;
+        return this.changeTier(this.tierIndex - 1, fps);
+    }
+
+    changeTier(index, fps) {
+        this.tierIndex = index;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.skipWindows = 1;
+        console.log(`⚙️  Quality tier → ${this.tiers[index].name} (${fps.toFixed(1)} fps)`);
+        return this.getTier();
+    }
+
+    /**
+     * Frame rate the display is driven at (e.g. lowered by a frame cap) - the
+     * downgrade threshold keeps its ratio to it
+     * @param {number} fps
+     */
+    setTargetFps(fps) {
+        this.downgradeFps = this.downgradeFps * fps / this.targetFps;
+        this.targetFps = fps;
+        this.reset();
+    }
+
+    /**
+     * Force a tier (measuring continues if enabled)
+     * @param {string|number} tier - Tier name or index
+     * @returns {Object|null} - The tier, or null if unknown
+     */
+    setTier(tier) {
+        const index = typeof tier === 'number' ? tier : this.tiers.findIndex(t => t.name === tier);
+        if (!this.tiers[index]) {
+            console.warn(`⚠️  Unknown quality tier: ${tier}`);
+            return null;
+        }
+        this.tierIndex = index;
+        this.upgradeWait = this.upgradeWindows;
+        this.reset();
+        return this.getTier();
+    }
+
+    /**
+     * @returns {Object} - Current tier settings with its `index`
+     */
+    getTier() {
+        return { index: this.tierIndex, ...this.tiers[this.tierIndex] };
+    }
+}
@@ -1,7 +1,40 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { gsap } from 'gsap';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { applyCameraAspect } from './CameraManager.js';
+import { getLayout, getLayoutNames, registerLayout, createCustomLayout } from './ViewportLayouts.js';
+import { CalibrationOverlay } from './CalibrationOverlay.js';
+import { FaceCompositor } from './FaceCompositor.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { PostProcessingStack } from './PostProcessingStack.js';
+import { resolveFaceMask, getViewportCenter } from './FaceMasks.js';
+import { FaceColors } from './FaceColors.js';
+
+/**
+ * Run a composer's bloom passes at a fraction of its size (passes that support it
+ * implement setResolutionScale, see PostProcessingStack)
+ * @param {EffectComposer|null} composer
+ * @param {number} scale - 1 = full resolution
+ */
+function setBloomScale(composer, scale) {
+    composer?.passes.forEach(pass => pass.setResolutionScale?.(scale));
+}
+
+/**
+ * Flag a material's textures for upload (render target textures are re-rendered instead)
+ * @param {THREE.Material} material
+ */
+function markTexturesForUpload(material) {
+    const values = Object.values(material);
+    if (material.uniforms) {
+        values.push(...Object.values(material.uniforms).map(uniform => uniform.value));
+    }
+    values.forEach(value => {
+        if (value?.isTexture && !value.isRenderTargetTexture && value.image) {
+            value.needsUpdate = true;
+        }
+    });
+}
 
 export class RenderManager {
     constructor(canvas) {
@@ -13,8 +46,31 @@ export class RenderManager {
         this.canvas = canvas;
         this.resizeCallbacks = [];
         this.viewMode = 'quadrant'; // 'quadrant' or 'single'
-        this.composer = null; // Optional: EffectComposer for single view post-processing
-        this.quadrantComposers = []; // ✅ Four separate composers for quadrant mode (no state pollution)
+        this.viewTransition = null; // { progress: 0 (quadrant) .. 1 (single) } while animating
+        this.viewTransitionTween = null;
+        this.transitionCamera = new THREE.PerspectiveCamera(); // Front face pose blended into the single view (see renderViewTransition)
+        this.transitionOptions = { duration: 0.6, ease: 'power2.inOut' };
+        this.composer = null; // Single view composer running the post-processing stack (see setPostProcessing)
+        this.faceComposer = null; // Face composer running the same stack, shared by all faces at face resolution
+        this.outputComposer = null; // Runs the stack's display-referred passes (fxaa, vignette) on the tone mapped frame
+        this.frameTarget = null; // Linear HDR canvas-size target a frame is composited into while output passes are active
+        this.drawingToFrameTarget = false; // Set by render() until the frame goes through the output passes
+        this.calibration = null; // Optional: PyramidCalibration driving viewport size and center gap
+        this.faceColors = FaceColors.load(); // Per-face color compensation (see setFaceColor)
+        this.layoutName = 'radial'; // Face viewport layout (see ViewportLayouts)
+        this.layoutOptions = {}; // { gap, mask } - overrides the layout's default gap and face mask
+        this.calibrationOverlay = null; // CalibrationOverlay, created on first use
+        this.overlayOptions = { enabled: false, showContent: false };
+        this.outputTarget = null; // Offscreen target replacing the canvas while exporting (see beginOffscreen)
+        this.offscreen = null; // Saved state and readback buffers between beginOffscreen/endOffscreen
+        this.qualityGovernor = new QualityGovernor(); // Steps quality tiers from measured frame times
+        this.qualityCallbacks = [];
+        this.materialsNeedUpdate = false; // Shadow settings changed: recompile scene materials on next render
+        this.contextLost = false; // WebGL context lost: rendering paused until it is restored
+        this.texturesNeedUpload = false; // Context restored: re-upload scene textures on next render
+        this.contextLostCallbacks = [];
+        this.contextRestoredCallbacks = [];
+        this.statusOverlay = null; // Status message over the canvas, created on first use
         
         this.renderer = new THREE.WebGLRenderer({ 
             canvas, 
@@ -22,24 +78,168 @@ export class RenderManager {
             alpha: false
         });
         
-        // 设置黑色背景
-        this.renderer.setClearColor(0x000000, 1.0);
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.setScissorTest(true);
+        this.applyRendererState();
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
         // ModelViewer-style rendering: Physical tone mapping + sRGB encoding
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.8;  // Increased from 1.0 for brighter rendering
+        this.exposure = 1.8;  // Increased from 1.0 for brighter rendering
+        this.exposureScale = 1; // Dimming on top of the exposure (PowerManager idle dimming)
+        this.renderer.toneMappingExposure = this.exposure;
         this.renderer.outputEncoding = THREE.sRGBEncoding;
         
+        // Faces render into their own targets and are placed by one composite pass
+        this.compositor = new FaceCompositor(this.renderer);
+        
+        // Post-processing shared by single view and every face (empty by default)
+        this.postProcessing = new PostProcessingStack(this.renderer);
+        
         this.setupEventListeners();
     }
     
+    /**
+     * GL state the renderer loses with its context (restored in onContextRestored)
+     */
+    applyRendererState() {
+        // 设置黑色背景
+        this.renderer.setClearColor(0x000000, 1.0);
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.setScissorTest(true);
+    }
+    
     setupEventListeners() {
-        window.addEventListener('resize', () => this.onResize());
+        // Kept to remove them in dispose()
+        this.handleResize = () => this.onResize();
+        this.handleContextLost = (event) => this.onContextLost(event);
+        this.handleContextRestored = () => this.onContextRestored();
+        
+        window.addEventListener('resize', this.handleResize);
+        
+        // Mobile browsers reclaim the GPU from background tabs (and sometimes from foreground ones)
+        this.canvas.addEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
+    }
+    
+    /**
+     * The GPU was reclaimed: pause rendering until the browser gives the context back
+     * @param {Event} event - webglcontextlost
+     */
+    onContextLost(event) {
+        // Without preventDefault the browser never restores the context
+        event.preventDefault();
+        if (this.contextLost) return;
+        
+        this.contextLost = true;
+        console.warn('⚠️  WebGL context lost - rendering paused');
+        this.showStatus('Graphics paused - waiting for the GPU…');
+        
+        this.contextLostCallbacks.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Context lost callback error:', error);
+            }
+        });
+    }
+    
+    /**
+     * The context is back (three.js has re-created its GL state by now): rebuild
+     * what lived only on the GPU - renderer settings, face targets, composers,
+     * shadow maps - and re-upload scene materials and textures on the next render.
+     * Apps rebuild their own GPU-generated resources (e.g. the PMREM environment)
+     * in onContextRestoredCallback.
+     */
+    onContextRestored() {
+        this.applyRendererState();
+        this.renderer.shadowMap.needsUpdate = true;
+        
+        // Face targets are recreated on the next frame, composers get fresh passes
+        this.compositor.reset();
+        if (this.composer) {
+            this.setPostProcessing(this.getPostProcessing());
+        }
+        
+        this.materialsNeedUpdate = true;
+        this.texturesNeedUpload = true;
+        this.qualityGovernor.reset();
+        
+        this.contextRestoredCallbacks.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Context restored callback error:', error);
+            }
+        });
+        
+        this.contextLost = false;
+        this.hideStatus();
+        console.log('✅ WebGL context restored - rendering resumed');
+    }
+    
+    /**
+     * @returns {boolean} - true while the WebGL context is lost (apps skip their frame)
+     */
+    isContextLost() {
+        return this.contextLost;
+    }
+    
+    /**
+     * Lose and restore the context on purpose, to test recovery
+     * Usage in console: window.app.renderManager.simulateContextLoss(3000)
+     * @param {number} [durationMs=2000] - Time until the context is restored
+     */
+    simulateContextLoss(durationMs = 2000) {
+        const extension = this.renderer.getContext().getExtension('WEBGL_lose_context');
+        if (!extension) {
+            console.warn('⚠️  WEBGL_lose_context not available');
+            return;
+        }
+        extension.loseContext();
+        setTimeout(() => extension.restoreContext(), durationMs);
+    }
+    
+    // Called when the WebGL context is lost (pause app-side work)
+    onContextLostCallback(callback) {
+        this.contextLostCallbacks.push(callback);
+    }
+    
+    // Called after the WebGL context is restored (rebuild app-side GPU resources)
+    onContextRestoredCallback(callback) {
+        this.contextRestoredCallbacks.push(callback);
+    }
+    
+    /**
+     * Show a status message over the canvas
+     * @param {string} message
+     */
+    showStatus(message) {
+        if (!this.statusOverlay) {
+            this.statusOverlay = document.createElement('div');
+            this.statusOverlay.className = 'render-status';
+            Object.assign(this.statusOverlay.style, {
+                position: 'fixed',
+                left: '50%',
+                top: '50%',
+                transform: 'translate(-50%, -50%)',
+                zIndex: 200,
+                padding: '12px 20px',
+                borderRadius: '4px',
+                background: 'rgba(0, 0, 0, 0.85)',
+                border: '1px solid rgba(255, 255, 255, 0.2)',
+                color: '#fff',
+                font: '14px sans-serif',
+                pointerEvents: 'none'
+            });
+            this.canvas.insertAdjacentElement('afterend', this.statusOverlay);
+        }
+        this.statusOverlay.textContent = message;
+        this.statusOverlay.style.display = 'block';
+    }
+    
+    hideStatus() {
+        if (this.statusOverlay) this.statusOverlay.style.display = 'none';
     }
     
     onResize() {
@@ -49,17 +249,13 @@ export class RenderManager {
         // Update renderer size
         this.renderer.setSize(newWidth, newHeight);
         
-        // Update pixel ratio if changed
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        // Update pixel ratio if changed (capped by the quality tier)
+        this.renderer.setPixelRatio(this.getPixelRatio());
         
-        // ✅ Update all quadrant composers' render targets
-        this.quadrantComposers.forEach(composer => {
-            composer.setSize(newWidth, newHeight);
-        });
-        
-        // Update single view composer if exists
+        // Update single view and output composers if they exist
         if (this.composer) {
             this.composer.setSize(newWidth, newHeight);
+            this.outputComposer.setSize(newWidth, newHeight);
         }
         
         // Notify all registered callbacks
@@ -77,75 +273,192 @@ export class RenderManager {
         this.resizeCallbacks.push(callback);
     }
     
-    renderQuadrants(scene, cameras, composer = null) {
-        if (!scene || !cameras || cameras.length !== 4) {
+    /**
+     * Compute the face viewports with the current layout (see ViewportLayouts)
+     * @param {number} w - Canvas width (CSS pixels)
+     * @param {number} h - Canvas height (CSS pixels)
+     * @param {THREE.Camera[]} cameras - Face cameras
+     * @returns {({x: number, y: number, width: number, height: number, rotation?: number, mirror?: boolean}|null)[]}
+     *          WebGL viewports (origin bottom-left), null for faces the layout leaves out
+     */
+    computeFaceViewports(w, h, cameras) {
+        const layout = getLayout(this.layoutName) || getLayout('radial');
+        
+        return layout.compute({
+            width: w,
+            height: h,
+            cameras,
+            calibration: this.calibration,
+            gap: this.layoutOptions.gap ?? layout.gap ?? 0,
+            options: this.layoutOptions
+        });
+    }
+    
+    /**
+     * Size of the current output: the canvas (CSS pixels), or the export target
+     * @returns {{width: number, height: number}}
+     */
+    getOutputSize() {
+        if (this.outputTarget) {
+            return { width: this.outputTarget.width, height: this.outputTarget.height };
+        }
+        const canvas = this.renderer.domElement;
+        return { width: canvas.clientWidth, height: canvas.clientHeight };
+    }
+    
+    /**
+     * Render target the frame is drawn into instead of the canvas
+     * @returns {THREE.WebGLRenderTarget|null} - Export target, frame target (output passes) or null
+     */
+    getOutputTarget() {
+        return this.outputTarget ?? (this.drawingToFrameTarget ? this.frameTarget : null);
+    }
+    
+    /**
+     * Direct the next draw calls at a rectangle of the output (canvas or export target)
+     */
+    setOutputViewport(x, y, width, height) {
+        const target = this.getOutputTarget();
+        if (target) {
+            // Export targets are in layout pixels, the frame target in device pixels
+            const scale = target === this.frameTarget ? this.renderer.getPixelRatio() : 1;
+            target.viewport.set(x, y, width, height).multiplyScalar(scale);
+            target.scissor.copy(target.viewport);
+            target.scissorTest = true;
+            this.renderer.setRenderTarget(target);
+        } else {
+            this.renderer.setRenderTarget(null);
+            this.renderer.setViewport(x, y, width, height);
+            this.renderer.setScissor(x, y, width, height);
+        }
+    }
+    
+    renderQuadrants(scene, cameras) {
+        if (!scene || !cameras || cameras.length < 3) {
             console.error('❌ Invalid scene or cameras for rendering');
             return;
         }
 
-        const canvas = this.renderer.domElement;
-        const w = canvas.clientWidth;
-        const h = canvas.clientHeight;
+        const { width: w, height: h } = this.getOutputSize();
         
-        // Perfect centered Pepper's Ghost cross layout
-        const centerX = w / 2;
-        const centerY = h / 2;
-        let viewSize;
-        
-        // Cross layout spans 3 units (top-center-bottom or left-center-right)
-        viewSize = Math.min(w, h) / 3.3;  // 30.3% per viewport - perfect fit for cross layout
-        
-        const viewports = [
-            // Perfectly centered cross layout
-            { x: centerX - (viewSize / 2), y: centerY + (viewSize / 2), width: viewSize, height: viewSize },  // Top
-            { x: centerX - (viewSize / 2), y: centerY - (viewSize * 1.5), width: viewSize, height: viewSize },  // Bottom
-            { x: centerX - (viewSize * 1.5), y: centerY - (viewSize / 2), width: viewSize, height: viewSize },  // Left
-            { x: centerX + (viewSize / 2), y: centerY - (viewSize / 2), width: viewSize, height: viewSize }   // Right
-        ];
-        
-        // Set full viewport and clear
-        this.renderer.setViewport(0, 0, w, h);
-        this.renderer.setScissor(0, 0, w, h);
-        this.renderer.clear();
+        const viewports = this.computeFaceViewports(w, h, cameras);
         
-        // ✅ If using bloom, ensure we have 4 independent composers (no state sharing)
-        if (composer && this.quadrantComposers.length === 0) {
-            console.warn('⚠️  Quadrant composers not initialized - creating them now');
-            this.initializeQuadrantComposers(scene, cameras, composer);
-        }
+        // With post-processing, one shared composer runs each face at face resolution
+        const composer = this.getFaceComposer();
         
-        // Render each quadrant with independent composer (zero state pollution)
-        for (let i = 0; i < 4; i++) {
-            const viewport = viewports[i];
-            const camera = cameras[i];
-            
-            if (!camera) continue;
-            
-            // Set viewport and scissor area
-            this.renderer.setViewport(
-                Math.floor(viewport.x), 
-                Math.floor(viewport.y), 
-                Math.floor(viewport.width), 
-                Math.floor(viewport.height)
-            );
-            this.renderer.setScissor(
-                Math.floor(viewport.x), 
-                Math.floor(viewport.y), 
-                Math.floor(viewport.width), 
-                Math.floor(viewport.height)
-            );
+        // Render each face into its own target, then place them all in one pass
+        const faces = [];
+        for (let i = 0; i < cameras.length; i++) {
+            if (!cameras[i] || !viewports[i]) continue;
             
-            // Update camera aspect ratio
-            camera.aspect = viewport.width / viewport.height;
+            const face = this.renderFace(scene, cameras[i], viewports[i], i, composer);
+            if (face) faces.push(this.maskFace(face, viewports, cameras.length));
+        }
+        
+        this.compositor.trim(cameras.length);
+        this.compositor.composite(faces, w, h, this.getOutputTarget());
+    }
+    
+    /**
+     * Render one face camera into its compositor target
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera} camera - Camera for this face
+     * @param {{x: number, y: number, width: number, height: number, rotation?: number, mirror?: boolean}} viewport
+     *        WebGL viewport (origin bottom-left), with optional layout image roll and mirror
+     * @param {number} index - Face index (compositor target slot)
+     * @param {EffectComposer|null} composer - Shared face composer, or null for direct rendering
+     * @returns {Object|null} - Compositor face entry (screen rect, quarter turns, mirror, image roll,
+     *          color compensation), null if empty
+     */
+    renderFace(scene, camera, viewport, index, composer = null) {
+        const x = Math.floor(viewport.x);
+        const y = Math.floor(viewport.y);
+        const width = Math.floor(viewport.width);
+        const height = Math.floor(viewport.height);
+        
+        if (width <= 0 || height <= 0) return null;
+        
+        // Layout image roll replaces the face's radial roll (face tuning roll is kept).
+        // Whole turns of the texture are done by the compositor (quarter turns only
+        // when the face is square), any remainder by rolling the camera
+        const rollDelta = viewport.rotation !== undefined && camera.userData.faceRoll !== undefined
+            ? viewport.rotation - camera.userData.faceRoll
+            : 0;
+        const step = width === height ? 90 : 180;
+        const quarterTurns = Math.round(rollDelta / step) * (step / 90);
+        const cameraRoll = rollDelta - quarterTurns * 90;
+        
+        // Update camera aspect ratio (perspective or orthographic)
+        applyCameraAspect(camera, viewport.width / viewport.height);
+        
+        if (cameraRoll !== 0) {
+            this.rollCamera(camera, cameraRoll);
+        }
+        
+        if (composer) {
+            composer.passes[0].scene = scene;
+            composer.passes[0].camera = camera;
+        }
+        this.compositor.renderFace(index, scene, camera, width, height, composer);
+        
+        if (cameraRoll !== 0) {
+            this.rollCamera(camera, -cameraRoll);
+        }
+        
+        // Image roll on screen (face masks are laid out along the image axes)
+        const { faceRoll = 0, imageRoll = faceRoll } = camera.userData;
+        const roll = viewport.rotation !== undefined ? viewport.rotation + (imageRoll - faceRoll) : imageRoll;
+        
+        return {
+            index,
+            x, y, width, height,
+            quarterTurns,
+            roll,
+            mirror: !!camera.userData.mirror !== !!viewport.mirror,  // UV flip in the composite pass
+            color: this.faceColors.getCompensation(index)
+        };
+    }
+    
+    /**
+     * Attach the current face mask to a compositor face entry (see FaceMasks)
+     * @param {Object|null} face - From renderFace()
+     * @param {Object[]} viewports - All face viewports of the layout (for the pyramid axis)
+     * @param {number} faceCount - Pyramid face count
+     * @returns {Object|null} - The same entry
+     */
+    maskFace(face, viewports, faceCount) {
+        if (!face) return null;
+        
+        const spec = this.getFaceMask();
+        const faceSpec = Array.isArray(spec) ? spec[face.index] : spec;
+        face.mask = faceSpec ? resolveFaceMask(faceSpec, {
+            viewport: face,
+            roll: face.roll,
+            center: getViewportCenter(viewports),
+            faceCount
+        }) : null;
+        return face;
+    }
+    
+    /**
+     * Rotate a camera's image around its view axis, lens shift included
+     * @param {THREE.Camera} camera - Face camera
+     * @param {number} degrees - Extra roll (same sign as CameraManager face roll)
+     */
+    rollCamera(camera, degrees) {
+        const rad = THREE.MathUtils.degToRad(degrees);
+        camera.rotateZ(rad);
+        camera.updateMatrixWorld();
+        
+        // View offset is in image space: turn the shift with the image (content turns by -roll)
+        if (camera.view?.enabled) {
+            const shiftX = -camera.view.offsetX;
+            const shiftY = camera.view.offsetY;
+            const cos = Math.cos(rad);
+            const sin = Math.sin(rad);
+            camera.view.offsetX = -(shiftX * cos + shiftY * sin);
+            camera.view.offsetY = -shiftX * sin + shiftY * cos;
             camera.updateProjectionMatrix();
-            
-            // ✅ Use independent composer per quadrant (never modify state)
-            if (composer && this.quadrantComposers[i]) {
-                this.quadrantComposers[i].render();
-            } else {
-                // Direct rendering (no bloom)
-                this.renderer.render(scene, camera);
-            }
         }
     }
     
@@ -155,31 +468,584 @@ export class RenderManager {
             return;
         }
         
+        const { width: w, height: h } = this.getOutputSize();
+        
+        // Full viewport rendering
+        this.setOutputViewport(0, 0, w, h);
+        
+        // Update camera aspect
+        applyCameraAspect(camera, w / h);
+        
+        // Post-processing stack: composer output is placed (and tone mapped) by the compositor
+        const composer = this.getSingleComposer();
+        if (composer) {
+            this.postProcessing.render(composer, scene, camera);
+            this.compositor.composite([
+                { index: 0, texture: composer.readBuffer.texture, x: 0, y: 0, width: w, height: h }
+            ], w, h, this.getOutputTarget());
+        } else {
+            this.renderer.render(scene, camera);
+        }
+    }
+    
+    /**
+     * Render the current view mode, including animated view mode transitions
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera[]} cameras - Face cameras (quadrant view)
+     * @param {THREE.Camera} singleCamera - Single view camera
+     */
+    render(scene, cameras, singleCamera) {
+        if (this.contextLost) return;
+        
+        this.updateQuality(scene);
+        
+        // Output passes need the whole frame: composite it offscreen, then tone map it through them
+        const outputComposer = this.getOutputComposer();
+        if (outputComposer) {
+            this.updateFrameTarget();
+            this.drawingToFrameTarget = true;
+        }
+        
+        const showOverlay = this.overlayOptions.enabled && !this.viewTransition && this.viewMode === 'quadrant';
+        
+        if (this.viewTransition) {
+            this.renderViewTransition(scene, cameras, singleCamera);
+        } else if (this.viewMode === 'single') {
+            this.renderSingle(scene, singleCamera);
+        } else if (showOverlay && !this.overlayOptions.showContent) {
+            this.clearCanvas();
+        } else {
+            this.renderQuadrants(scene, cameras);
+        }
+        
+        if (outputComposer) {
+            this.drawingToFrameTarget = false;
+            const { width, height } = this.getOutputSize();
+            this.setOutputViewport(0, 0, width, height);
+            this.postProcessing.renderOutput(outputComposer, this.frameTarget.texture, true);
+        }
+        
+        if (showOverlay) {
+            this.drawCalibrationOverlay(cameras);
+        } else if (this.calibrationOverlay) {
+            this.calibrationOverlay.hide();
+        }
+    }
+    
+    /**
+     * Clear the whole canvas to the background color
+     */
+    clearCanvas() {
+        const { width, height } = this.getOutputSize();
+        this.setOutputViewport(0, 0, width, height);
+        this.renderer.clear();
+    }
+    
+    /**
+     * Keep the frame target at the canvas drawing buffer size
+     */
+    updateFrameTarget() {
+        const { x: width, y: height } = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (!this.frameTarget) {
+            this.frameTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType });
+        } else if (this.frameTarget.width !== width || this.frameTarget.height !== height) {
+            this.frameTarget.setSize(width, height);
+        }
+    }
+    
+    /**
+     * Draw the alignment guides for the current layout on top of the canvas
+     * @param {THREE.Camera[]} cameras - Face cameras
+     */
+    drawCalibrationOverlay(cameras) {
+        if (!cameras || cameras.length < 3) return;
+        
+        if (!this.calibrationOverlay) {
+            this.calibrationOverlay = new CalibrationOverlay(this.renderer.domElement);
+        }
+        
+        const canvas = this.renderer.domElement;
+        const layout = getLayout(this.layoutName) || getLayout('radial');
+        
+        this.calibrationOverlay.show();
+        this.calibrationOverlay.draw({
+            viewports: this.computeFaceViewports(canvas.clientWidth, canvas.clientHeight, cameras),
+            cameras,
+            calibration: this.calibration,
+            pyramidGuides: !!layout.pyramidGuides
+        });
+    }
+    
+    /**
+     * Show alignment guides (crosshair, viewport outlines, pyramid edges, per-face
+     * test pattern) so installers can place the glass before content starts
+     * Only drawn in quadrant view.
+     * @param {boolean} enabled - Show or hide the overlay
+     * @param {Object} [options]
+     * @param {boolean} [options.showContent=false] - Keep rendering the scene under the guides
+     */
+    setCalibrationOverlay(enabled, options = {}) {
+        this.overlayOptions = {
+            enabled: !!enabled,
+            showContent: options.showContent ?? this.overlayOptions.showContent
+        };
+        console.log(enabled ? '🎯 Alignment overlay enabled' : '🎯 Alignment overlay disabled');
+    }
+    
+    isCalibrationOverlayEnabled() {
+        return this.overlayOptions.enabled;
+    }
+    
+    /**
+     * Render an in-between frame of the quadrant ↔ single transition
+     * The Front face viewport grows into the full-screen single view while the
+     * other faces shrink into their own centers (and the reverse on the way back)
+     */
+    renderViewTransition(scene, cameras, singleCamera) {
+        if (!scene || !cameras || cameras.length < 3 || !singleCamera) {
+            console.error('❌ Invalid scene or cameras for rendering');
+            return;
+        }
+        
         const canvas = this.renderer.domElement;
         const w = canvas.clientWidth;
         const h = canvas.clientHeight;
+        const t = this.viewTransition.progress;  // 0 = quadrant layout, 1 = single view
         
-        // Full viewport rendering
-        this.renderer.setViewport(0, 0, w, h);
-        this.renderer.setScissor(0, 0, w, h);
+        const viewports = this.computeFaceViewports(w, h, cameras);
+        const lerp = THREE.MathUtils.lerp;
         
-        // Update camera aspect
-        camera.aspect = w / h;
+        const faceComposer = this.getFaceComposer();
+        const singleComposer = this.getSingleComposer();
+        
+        // Other faces render at layout size and collapse towards their centers in the composite
+        const faces = [];
+        for (let i = 1; i < cameras.length; i++) {
+            const viewport = viewports[i];
+            if (!cameras[i] || !viewport) continue;
+            
+            const face = this.maskFace(this.renderFace(scene, cameras[i], viewport, i, faceComposer), viewports, cameras.length);
+            if (!face) continue;
+            
+            const width = face.width * (1 - t);
+            const height = face.height * (1 - t);
+            faces.push({
+                ...face,
+                x: face.x + (face.width - width) / 2,
+                y: face.y + (face.height - height) / 2,
+                width,
+                height
+            });
+        }
+        
+        // Front face viewport expands to full screen while its camera turns into the
+        // single view camera (layouts without a Front face grow it from the canvas center)
+        const front = viewports[0] || { x: w / 2, y: h / 2, width: 0, height: 0 };
+        const rect = {
+            x: lerp(front.x, 0, t),
+            y: lerp(front.y, 0, t),
+            width: lerp(front.width, w, t),
+            height: lerp(front.height, h, t)
+        };
+        
+        if (rect.width >= 1 && rect.height >= 1) {
+            const camera = this.updateTransitionCamera(cameras[0], viewports[0], singleCamera, t);
+            applyCameraAspect(camera, rect.width / rect.height);
+            
+            let texture;
+            if (singleComposer) {
+                this.postProcessing.render(singleComposer, scene, camera);
+                texture = singleComposer.readBuffer.texture;
+            } else {
+                this.compositor.renderFace(0, scene, camera, Math.floor(rect.width), Math.floor(rect.height));
+            }
+            
+            // A mirrored Front face flips like a card over the first half (single view is never mirrored)
+            const mirror = !!cameras[0]?.userData.mirror !== !!viewports[0]?.mirror;
+            const flip = mirror ? Math.abs(1 - 4 * Math.min(t, 0.5)) : 1;
+            faces.push({
+                index: 0,
+                texture,
+                ...rect,
+                x: rect.x + rect.width * (1 - flip) / 2,
+                width: rect.width * flip,
+                mirror: mirror && t < 0.25
+            });
+        }
+        
+        this.compositor.composite(faces, w, h, this.getOutputTarget());
+    }
+    
+    /**
+     * Pose the transition camera between the Front face camera and the single view camera
+     * Yaw and roll (face roll, tuning and layout image roll) are slerped, lens shift and FOV
+     * eased out, so the Front face turns into the single view without a jump.
+     * @param {THREE.Camera|undefined} faceCamera - Front face camera (none: single view pose only)
+     * @param {Object|undefined} viewport - Front face viewport (layout image roll)
+     * @param {THREE.PerspectiveCamera} singleCamera - Single view camera
+     * @param {number} t - 0 = Front face, 1 = single view
+     * @returns {THREE.PerspectiveCamera}
+     */
+    updateTransitionCamera(faceCamera, viewport, singleCamera, t) {
+        const camera = this.transitionCamera;
+        camera.near = singleCamera.near;
+        camera.far = singleCamera.far;
+        camera.clearViewOffset();
+        
+        if (!faceCamera) {
+            camera.position.copy(singleCamera.position);
+            camera.quaternion.copy(singleCamera.quaternion);
+            camera.fov = singleCamera.fov;
+            camera.updateMatrixWorld();
+            return camera;
+        }
+        
+        // Start from the Front face exactly as renderFace draws it
+        camera.position.copy(faceCamera.position);
+        camera.quaternion.copy(faceCamera.quaternion);
+        camera.updateMatrixWorld();
+        if (faceCamera.view?.enabled) {
+            camera.setViewOffset(1, 1, faceCamera.view.offsetX, faceCamera.view.offsetY, 1, 1);
+        }
+        if (viewport?.rotation !== undefined && faceCamera.userData.faceRoll !== undefined) {
+            this.rollCamera(camera, viewport.rotation - faceCamera.userData.faceRoll);
+        }
+        
+        camera.position.lerp(singleCamera.position, t);
+        camera.quaternion.slerp(singleCamera.quaternion, t);
+        camera.updateMatrixWorld();
+        if (camera.view?.enabled) {
+            camera.view.offsetX *= 1 - t;
+            camera.view.offsetY *= 1 - t;
+        }
+        
+        // Orthographic faces have no FOV: only the pose blends, the projection is the single view's
+        const fov = faceCamera.isPerspectiveCamera ? faceCamera.fov : singleCamera.fov;
+        camera.fov = THREE.MathUtils.lerp(fov, singleCamera.fov, t);
         camera.updateProjectionMatrix();
+        return camera;
+    }
+    
+    /**
+     * Render the current view offscreen at any resolution and download it as a PNG
+     * Quadrant view goes through renderQuadrants (layout recomputed for the export size),
+     * single view through renderSingle. The canvas on screen is left untouched.
+     * Usage in console: window.app.renderManager.exportImage(scene, cameras, singleCamera, { width: 4096, height: 4096 })
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera[]} cameras - Face cameras (quadrant view)
+     * @param {THREE.Camera} singleCamera - Single view camera
+     * @param {Object} [options]
+     * @param {number} [options.width] - Image width in pixels (default: canvas width × 2)
+     * @param {number} [options.height] - Image height in pixels (default: canvas height × 2)
+     * @param {boolean} [options.transparent=false] - Transparent background instead of the scene background
+     * @param {string} [options.filename] - Download name (default: hologram-<mode>-<width>x<height>.png)
+     * @param {boolean} [options.download=true] - Save the file; false only returns the Blob
+     * @returns {Promise<Blob|null>} - PNG data, null if the size is not supported
+     */
+    async exportImage(scene, cameras, singleCamera, options = {}) {
+        const canvas = this.renderer.domElement;
+        const width = Math.round(options.width ?? canvas.clientWidth * 2);
+        const height = Math.round(options.height ?? canvas.clientHeight * 2);
+        const transparent = !!options.transparent;
         
-        // Use composer if available (for post-processing effects like bloom)
-        if (this.composer) {
-            this.composer.render();
+        if (!this.beginOffscreen(scene, { width, height, transparent })) return null;
+        
+        let pixels;
+        try {
+            pixels = this.renderOffscreen(scene, cameras, singleCamera);
+        } finally {
+            this.endOffscreen();
+        }
+        
+        const blob = await this.encodePng(pixels, width, height);
+        if (!blob) {
+            console.error('❌ PNG encoding failed');
+            return null;
+        }
+        
+        if (options.download !== false) {
+            this.downloadBlob(blob, options.filename ?? `hologram-${this.viewMode}-${width}x${height}.png`);
+        }
+        
+        console.log(`📸 Exported ${width}x${height} PNG${transparent ? ' (transparent)' : ''}`);
+        return blob;
+    }
+    
+    /**
+     * Redirect rendering to an offscreen target (see exportImage, FrameSequenceRenderer)
+     * Call renderOffscreen() any number of times, then endOffscreen().
+     * @param {THREE.Scene} scene - Scene whose background is hidden for transparent output
+     * @param {Object} options
+     * @param {number} options.width - Output width in pixels
+     * @param {number} options.height - Output height in pixels
+     * @param {boolean} [options.transparent=false] - Transparent background
+     * @returns {boolean} - false if the size is not supported
+     */
+    beginOffscreen(scene, { width, height, transparent = false }) {
+        if (this.contextLost) {
+            console.error('❌ WebGL context lost - offscreen rendering unavailable until it is restored');
+            return false;
+        }
+        
+        const gl = this.renderer.getContext();
+        const maxSize = Math.min(this.renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+        if (!(width > 0 && height > 0) || width > maxSize || height > maxSize) {
+            console.error(`❌ Offscreen size ${width}x${height} not supported (max ${maxSize}x${maxSize})`);
+            return false;
+        }
+        
+        // Linear HDR output, tone mapped and converted to sRGB by an output pass
+        const composers = [this.composer, this.faceComposer, this.outputComposer].filter(Boolean);
+        this.offscreen = {
+            width,
+            height,
+            ldrTarget: new THREE.WebGLRenderTarget(width, height),
+            outputPass: new OutputPass(),
+            pixels: new Uint8Array(width * height * 4),
+            // Everything that depends on the canvas size or background
+            scene,
+            background: scene.background,
+            clearAlpha: this.renderer.getClearAlpha(),
+            pixelRatio: this.renderer.getPixelRatio(),
+            composers
+        };
+        
+        this.outputTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+        this.compositor.pixelRatio = 1;
+        composers.forEach(c => c.setPixelRatio(1));
+        
+        // Exports always use the best quality tier
+        const best = this.qualityGovernor.tiers[0];
+        this.compositor.setSamples(best.samples);
+        composers.forEach(c => setBloomScale(c, best.bloomScale));
+        this.composer?.setSize(width, height);
+        this.outputComposer?.setSize(width, height);
+        
+        // Exports are never idle-dimmed
+        this.renderer.toneMappingExposure = this.exposure;
+        if (transparent) {
+            scene.background = null;
+            this.renderer.setClearAlpha(0);
+        }
+        return true;
+    }
+    
+    /**
+     * Render one frame into the offscreen target and read it back
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera[]} cameras - Face cameras (quadrant view)
+     * @param {THREE.Camera} singleCamera - Single view camera
+     * @param {string} [view] - 'quadrant' or 'single' (default: current view mode)
+     * @returns {Uint8ClampedArray} - RGBA pixels, top row first (ImageData layout)
+     */
+    renderOffscreen(scene, cameras, singleCamera, view = this.viewMode) {
+        const { width, height, ldrTarget, outputPass, pixels } = this.offscreen;
+        
+        if (view === 'single') {
+            this.renderSingle(scene, singleCamera);
         } else {
-            // Fallback to direct rendering
-            this.renderer.render(scene, camera);
+            this.renderQuadrants(scene, cameras);
+        }
+        
+        // Output passes run on the exported frame too, as on screen
+        const outputComposer = this.getOutputComposer();
+        let readTarget = ldrTarget;
+        if (outputComposer) {
+            this.postProcessing.renderOutput(outputComposer, this.outputTarget.texture, false);
+            readTarget = outputComposer.readBuffer;
+        } else {
+            outputPass.render(this.renderer, ldrTarget, this.outputTarget);
         }
+        this.renderer.readRenderTargetPixels(readTarget, 0, 0, width, height, pixels);
+        this.renderer.setRenderTarget(null);
+        
+        // WebGL rows start at the bottom
+        const image = new Uint8ClampedArray(width * height * 4);
+        const rowBytes = width * 4;
+        for (let row = 0; row < height; row++) {
+            image.set(pixels.subarray(row * rowBytes, (row + 1) * rowBytes), (height - 1 - row) * rowBytes);
+        }
+        return image;
+    }
+    
+    /**
+     * Restore on-screen rendering after beginOffscreen()
+     */
+    endOffscreen() {
+        const state = this.offscreen;
+        if (!state) return;
+        
+        this.outputTarget.dispose();
+        this.outputTarget = null;
+        this.compositor.pixelRatio = null;
+        this.composer?.setSize(window.innerWidth, window.innerHeight);
+        this.outputComposer?.setSize(window.innerWidth, window.innerHeight);
+        state.composers.forEach(c => c.setPixelRatio(state.pixelRatio));
+        
+        const tier = this.qualityGovernor.getTier();
+        this.compositor.setSamples(tier.samples);
+        state.composers.forEach(c => setBloomScale(c, tier.bloomScale));
+        state.scene.background = state.background;
+        this.renderer.setClearAlpha(state.clearAlpha);
+        this.renderer.setRenderTarget(null);
+        this.renderer.toneMappingExposure = this.exposure * this.exposureScale;
+        
+        state.ldrTarget.dispose();
+        state.outputPass.dispose();
+        this.offscreen = null;
     }
     
-    setViewMode(mode) {
-        if (mode === 'quadrant' || mode === 'single') {
-            this.viewMode = mode;
+    /**
+     * Encode RGBA pixels (top row first) as PNG
+     * @param {Uint8ClampedArray} pixels - From renderOffscreen()
+     * @param {number} width
+     * @param {number} height
+     * @returns {Promise<Blob|null>}
+     */
+    encodePng(pixels, width, height) {
+        const imageCanvas = document.createElement('canvas');
+        imageCanvas.width = width;
+        imageCanvas.height = height;
+        imageCanvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        return new Promise(resolve => imageCanvas.toBlob(resolve, 'image/png'));
+    }
+    
+    /**
+     * Save a Blob through the browser's download prompt
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    /**
+     * Choose the face viewport layout
+     * Usage in console: window.app.renderManager.setLayout('grid', { gap: 8 })
+     * @param {string} name - Registered layout ('radial', 'grid', 'single', 'triangle', 'face' or custom)
+     * @param {Object} [options] - Also passed to the layout (e.g. { face: 2 } for 'face')
+     * @param {number} [options.gap] - Gap in CSS pixels (default: layout's own gap)
+     * @param {Object|Object[]|null} [options.mask] - Face mask (default: layout's own mask, see setFaceMask)
+     * @returns {boolean} - false if no layout has that name
+     */
+    setLayout(name, options = {}) {
+        if (!getLayout(name)) {
+            console.error(`❌ Unknown layout: ${name} (available: ${getLayoutNames().join(', ')})`);
+            return false;
         }
+        
+        this.layoutName = name;
+        this.layoutOptions = { ...options };
+        console.log(`🔲 Layout: ${name}`);
+        return true;
+    }
+    
+    /**
+     * Mask each face to the lit area of its facet, with feathered edges (see FaceMasks)
+     * Overrides the current layout's own mask until the layout changes.
+     * Usage in console: window.app.renderManager.setFaceMask({ shape: 'trapezoid', apexWidth: 0.3, feather: 0.08 })
+     * @param {Object|Object[]|null} mask - { shape, apexWidth, feather, falloff, falloffStart },
+     *        an array with one entry per face, or null for hard square faces
+     */
+    setFaceMask(mask) {
+        this.layoutOptions.mask = mask;
+        console.log(`🔳 Face mask: ${mask ? JSON.stringify(mask) : 'off'}`);
+    }
+    
+    /**
+     * Face mask in effect: set with setFaceMask/setLayout, otherwise the layout's own
+     * @returns {Object|Object[]|null}
+     */
+    getFaceMask() {
+        if (this.layoutOptions.mask !== undefined) return this.layoutOptions.mask;
+        return getLayout(this.layoutName)?.mask ?? null;
+    }
+    
+    /**
+     * @returns {string} - Current layout name
+     */
+    getLayoutName() {
+        return this.layoutName;
+    }
+    
+    /**
+     * Face count the current layout is built for
+     * @returns {number|null} - null if the layout works with any face count
+     */
+    getLayoutFaceCount() {
+        return getLayout(this.layoutName)?.faceCount ?? null;
+    }
+    
+    /**
+     * Register a layout from a JSON description (see createCustomLayout)
+     * Usage in console: window.app.renderManager.registerCustomLayout('rig', { faces: [...] })
+     * @param {string} name - Layout name
+     * @param {Object|string} definition - Layout description (object or JSON string)
+     * @returns {boolean} - false if the description is invalid
+     */
+    registerCustomLayout(name, definition) {
+        try {
+            registerLayout(name, createCustomLayout(definition));
+            console.log(`🔲 Custom layout registered: ${name}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Invalid custom layout "${name}":`, error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Switch between quadrant and single view
+     * @param {string} mode - 'quadrant' or 'single'
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=false] - Animate viewports in/out (requires render())
+     * @param {number} [options.duration] - Transition duration in seconds (default: transitionOptions)
+     * @param {string} [options.ease] - GSAP ease name (default: transitionOptions)
+     */
+    setViewMode(mode, options = {}) {
+        if (mode !== 'quadrant' && mode !== 'single') return;
+        if (mode === this.viewMode && !this.viewTransition) return;
+        
+        if (this.viewTransitionTween) {
+            this.viewTransitionTween.kill();
+            this.viewTransitionTween = null;
+        }
+        
+        if (options.animate) {
+            // Continue from the current in-between state when reversing mid-transition
+            const from = this.viewTransition
+                ? this.viewTransition.progress
+                : (this.viewMode === 'single' ? 1 : 0);
+            
+            this.viewTransition = { progress: from };
+            this.viewTransitionTween = gsap.to(this.viewTransition, {
+                progress: mode === 'single' ? 1 : 0,
+                duration: options.duration ?? this.transitionOptions.duration,
+                ease: options.ease ?? this.transitionOptions.ease,
+                onComplete: () => {
+                    this.viewTransition = null;
+                    this.viewTransitionTween = null;
+                }
+            });
+        } else {
+            this.viewTransition = null;
+        }
+        
+        this.viewMode = mode;
+    }
+    
+    /**
+     * Set default duration / easing for animated view mode switches
+     * @param {Object} options
+     * @param {number} [options.duration] - Seconds
+     * @param {string} [options.ease] - GSAP ease name (e.g. 'power2.inOut', 'expo.out')
+     */
+    setTransitionOptions(options) {
+        this.transitionOptions = { ...this.transitionOptions, ...options };
     }
     
     getViewMode() {
@@ -190,128 +1056,337 @@ export class RenderManager {
         return this.renderer;
     }
     
+    /**
+     * Set physical pyramid calibration profile (viewport size and center gap)
+     * @param {PyramidCalibration|null} calibration - null restores the automatic layout
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        console.log(calibration ? '📐 Calibrated pyramid layout enabled' : '📐 Automatic pyramid layout restored');
+    }
+    
+    /**
+     * Get current calibration profile
+     */
+    getCalibration() {
+        return this.calibration;
+    }
+    
+    /**
+     * Per-face color compensation (saved on this device, with or without a calibration profile)
+     * Usage in console: window.app.renderManager.setFaceColor(1, { exposure: 0.3, gamma: 1.1, contrast: 1, gain: [1, 0.95, 1.05] })
+     * @param {number} index - Face index (camera order, 0 = Front)
+     * @param {Object} values - Partial: exposure (stops), gamma, contrast, gain ([r, g, b])
+     * @returns {boolean} - true if applied
+     */
+    setFaceColor(index, values) {
+        if (!Number.isInteger(index) || index < 0) {
+            console.error(`❌ Invalid face index: ${index}`);
+            return false;
+        }
+        
+        this.faceColors.set(index, values);
+        console.log(`🎨 Face ${index} color:`, this.faceColors.get(index));
+        return true;
+    }
+    
+    /**
+     * Get one face's color compensation (defaults filled in)
+     * @param {number} index - Face index
+     * @returns {{exposure: number, gamma: number, contrast: number, gain: number[]}}
+     */
+    getFaceColor(index) {
+        return this.faceColors.get(index);
+    }
+    
+    /**
+     * Reset one face (or every face) to neutral color
+     * Usage in console: window.app.renderManager.resetFaceColors()
+     * @param {number} [index] - Face index; omit to reset every face
+     */
+    resetFaceColors(index) {
+        this.faceColors.reset(index);
+        console.log(`🔄 Face colors reset${index === undefined ? '' : ` for face ${index}`}`);
+    }
+    
     /**
      * Set tone mapping exposure (brightness control)
      * @param {number} value - Exposure value (typical range: 0.5 - 3.0, default: 1.8)
      */
     setExposure(value) {
-        this.renderer.toneMappingExposure = value;
+        this.exposure = value;
+        this.renderer.toneMappingExposure = this.exposure * this.exposureScale;
         console.log(`💡 Tone mapping exposure set to: ${value}`);
     }
     
     /**
-     * Get current exposure value
+     * Get current exposure value (without dimming)
      */
     getExposure() {
-        return this.renderer.toneMappingExposure;
+        return this.exposure;
     }
     
     /**
-     * Set EffectComposer for single view post-processing
-     * Quadrant view will continue using direct rendering
-     * @param {EffectComposer} composer - Three.js EffectComposer instance
+     * Dim (or restore) the picture without touching the exposure setting - called every
+     * frame while a dimming fades, so it does not log
+     * @param {number} scale - Multiplier on the exposure, 1 = full brightness
      */
-    setComposer(composer) {
-        this.composer = composer;
-        console.log('✅ EffectComposer set for single view rendering');
+    setExposureScale(scale) {
+        this.exposureScale = scale;
+        this.renderer.toneMappingExposure = this.exposure * this.exposureScale;
     }
     
     /**
-     * Remove composer and revert to direct rendering
+     * @returns {number} - Current dimming multiplier (1 = not dimmed)
      */
-    clearComposer() {
-        this.composer = null;
-        console.log('🔄 Reverted to direct rendering');
+    getExposureScale() {
+        return this.exposureScale;
     }
     
     /**
-     * Get current composer instance
+     * Set the post-processing stack used by single view and every face
+     * Usage in console: window.app.renderManager.setPostProcessing([{ type: 'bloom', strength: 1.2 }, { type: 'vignette' }])
+     * @param {Object[]} passes - Stack entries, e.g. { type: 'bloom', strength, radius, threshold },
+     *        { type: 'fxaa' }, { type: 'vignette', offset, darkness } (see PostProcessingStack)
      */
-    getComposer() {
-        return this.composer;
+    setPostProcessing(passes) {
+        this.postProcessing.setPasses(passes);
+        
+        if (!this.composer) {
+            this.composer = this.postProcessing.createComposer();
+            this.faceComposer = this.postProcessing.createComposer();
+            this.outputComposer = this.postProcessing.createComposer({ output: true });
+        }
+        
+        const tier = this.qualityGovernor.getTier();
+        setBloomScale(this.composer, tier.bloomScale);
+        setBloomScale(this.faceComposer, tier.bloomScale);
     }
     
     /**
-     * Initialize 4 independent composers for quadrant bloom rendering
-     * Each composer is permanently bound to one camera (zero state pollution)
-     * @param {THREE.Scene} scene - Scene to render
-     * @param {THREE.Camera[]} cameras - Array of 4 cameras
-     * @param {EffectComposer} referenceComposer - Reference composer to copy bloom settings from
-     */
-    initializeQuadrantComposers(scene, cameras, referenceComposer) {
-        // Clear any existing composers
-        this.quadrantComposers.forEach(c => c.dispose?.());
-        this.quadrantComposers = [];
-        
-        // Get bloom parameters from reference composer
-        let bloomStrength = 1.5;
-        let bloomRadius = 0.4;
-        let bloomThreshold = 0.1;
-        
-        if (referenceComposer) {
-            const bloomPass = referenceComposer.passes.find(pass => 
-                pass.constructor.name === 'UnrealBloomPass'
-            );
-            if (bloomPass) {
-                bloomStrength = bloomPass.strength;
-                bloomRadius = bloomPass.radius;
-                bloomThreshold = bloomPass.threshold;
-            }
-        }
+     * Current post-processing stack (format of setPostProcessing)
+     * @returns {Object[]}
+     */
+    getPostProcessing() {
+        return this.postProcessing.getPasses();
+    }
+    
+    /**
+     * Change parameters of one post-processing pass (single view and faces)
+     * Usage in console: window.app.renderManager.updatePostPass('bloom', { strength: 2 })
+     * @param {string} id - Pass id (defaults to its type)
+     * @param {Object} params - Parameters to change
+     */
+    updatePostPass(id, params) {
+        this.postProcessing.updatePass(id, params);
+    }
+    
+    /**
+     * Switch one post-processing pass on or off (single view and faces)
+     * @param {string} id - Pass id (defaults to its type)
+     * @param {boolean} enabled
+     */
+    setPostPassEnabled(id, enabled) {
+        this.postProcessing.setPassEnabled(id, enabled);
+    }
+    
+    /**
+     * Single view composer, or null when no post-processing pass is enabled
+     * @returns {EffectComposer|null}
+     */
+    getSingleComposer() {
+        return this.postProcessing.hasActivePasses() ? this.composer : null;
+    }
+    
+    /**
+     * Face composer, or null when no post-processing pass is enabled
+     * @returns {EffectComposer|null}
+     */
+    getFaceComposer() {
+        return this.postProcessing.hasActivePasses() ? this.faceComposer : null;
+    }
+    
+    /**
+     * Output composer, or null when no output pass (fxaa, vignette) is enabled
+     * @returns {EffectComposer|null}
+     */
+    getOutputComposer() {
+        return this.postProcessing.hasActivePasses(true) ? this.outputComposer : null;
+    }
+    
+    /**
+     * Feed the frame time to the quality governor and apply tier changes
+     * @param {THREE.Scene} scene - Scene whose materials are recompiled after shadow changes
+     */
+    updateQuality(scene) {
+        const tier = this.qualityGovernor.sample(performance.now());
+        if (tier) this.applyQualityTier(tier);
         
-        // Create 4 independent composers
-        for (let i = 0; i < 4; i++) {
-            const camera = cameras[i];
-            if (!camera) continue;
-            
-            // Create new EffectComposer for this quadrant
-            const composer = new EffectComposer(this.renderer);
-            
-            // Add render pass (permanently bound to this camera)
-            const renderPass = new RenderPass(scene, camera);
-            composer.addPass(renderPass);
-            
-            // Add bloom pass with same settings
-            const bloomPass = new UnrealBloomPass(
-                new THREE.Vector2(window.innerWidth, window.innerHeight),
-                bloomStrength,
-                bloomRadius,
-                bloomThreshold
-            );
-            composer.addPass(bloomPass);
-            
-            this.quadrantComposers.push(composer);
+        if (this.materialsNeedUpdate && scene) {
+            // Shadow map type/enable is baked into the shader programs
+            // (after a context loss: every program and texture is gone)
+            const uploadTextures = this.texturesNeedUpload;
+            scene.traverse(object => {
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.forEach(material => {
+                    if (!material) return;
+                    material.needsUpdate = true;
+                    if (uploadTextures) markTexturesForUpload(material);
+                });
+            });
+            this.materialsNeedUpdate = false;
+            this.texturesNeedUpload = false;
         }
-        
-        console.log(`✅ Initialized 4 independent quadrant composers (bloom: strength=${bloomStrength}, radius=${bloomRadius}, threshold=${bloomThreshold})`);
     }
     
     /**
-     * Update bloom settings for all quadrant composers
-     * @param {number} strength - Bloom strength
-     * @param {number} radius - Bloom radius  
-     * @param {number} threshold - Bloom threshold
+     * Apply a quality tier's renderer settings and notify quality callbacks
+     * @param {Object} tier - From QualityGovernor (see QUALITY_TIERS)
      */
-    updateQuadrantBloom(strength, radius, threshold) {
-        this.quadrantComposers.forEach((composer, i) => {
-            const bloomPass = composer.passes.find(pass => 
-                pass.constructor.name === 'UnrealBloomPass'
-            );
-            if (bloomPass) {
-                bloomPass.strength = strength;
-                bloomPass.radius = radius;
-                bloomPass.threshold = threshold;
+    applyQualityTier(tier) {
+        // Pixel ratio
+        const pixelRatio = this.getPixelRatio();
+        if (pixelRatio !== this.renderer.getPixelRatio()) {
+            this.renderer.setPixelRatio(pixelRatio);
+            this.composer?.setPixelRatio(pixelRatio);
+            this.faceComposer?.setPixelRatio(pixelRatio);
+            this.outputComposer?.setPixelRatio(pixelRatio);
+        }
+        
+        // Shadows
+        const shadowMap = this.renderer.shadowMap;
+        const shadowsEnabled = tier.shadowType !== null;
+        if (shadowMap.enabled !== shadowsEnabled || (shadowsEnabled && shadowMap.type !== tier.shadowType)) {
+            shadowMap.enabled = shadowsEnabled;
+            if (shadowsEnabled) shadowMap.type = tier.shadowType;
+            shadowMap.needsUpdate = true;
+            this.materialsNeedUpdate = true;
+        }
+        
+        // Bloom resolution and face antialiasing
+        setBloomScale(this.composer, tier.bloomScale);
+        setBloomScale(this.faceComposer, tier.bloomScale);
+        this.compositor.setSamples(tier.samples);
+        
+        // App-side effects (e.g. particle counts)
+        this.qualityCallbacks.forEach(callback => {
+            try {
+                callback(tier);
+            } catch (error) {
+                console.error('Quality callback error:', error);
             }
         });
-        console.log(`✅ Updated quadrant bloom: strength=${strength}, radius=${radius}, threshold=${threshold}`);
     }
     
     /**
-     * Dispose quadrant composers (cleanup)
+     * Device pixel ratio capped by the current quality tier
+     * @returns {number}
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, this.qualityGovernor.getTier().maxPixelRatio);
+    }
+    
+    /**
+     * Register a callback for quality tier changes
+     * @param {(tier: Object) => void} callback - Receives the new tier (see QUALITY_TIERS)
      */
-    disposeQuadrantComposers() {
-        this.quadrantComposers.forEach(c => c.dispose?.());
-        this.quadrantComposers = [];
-        console.log('🗑️  Quadrant composers disposed');
+    onQualityChangeCallback(callback) {
+        this.qualityCallbacks.push(callback);
+    }
+    
+    /**
+     * Current quality tier
+     * Usage in console: window.app.renderManager.getQualityTier()
+     * @returns {Object} - { index, name, maxPixelRatio, shadowType, bloomScale, samples, particleScale }
+     */
+    getQualityTier() {
+        return this.qualityGovernor.getTier();
+    }
+    
+    /**
+     * Force a quality tier; adaptive stepping continues from it unless disabled
+     * Usage in console: window.app.renderManager.setQualityTier('low', { adaptive: false })
+     * @param {string|number} tier - Tier name ('high', 'medium', 'low', 'minimal') or index
+     * @param {Object} [options]
+     * @param {boolean} [options.adaptive] - Enable/disable adaptive quality (unchanged if omitted)
+     */
+    setQualityTier(tier, options = {}) {
+        if (options.adaptive !== undefined) {
+            this.setAdaptiveQuality(options.adaptive);
+        }
+        const applied = this.qualityGovernor.setTier(tier);
+        if (applied) {
+            this.applyQualityTier(applied);
+            console.log(`⚙️  Quality tier set to ${applied.name}`);
+        }
+    }
+    
+    /**
+     * Enable/disable adaptive quality (the current tier stays in effect)
+     * @param {boolean} enabled
+     */
+    setAdaptiveQuality(enabled) {
+        this.qualityGovernor.enabled = enabled;
+        this.qualityGovernor.reset();
+    }
+    
+    /**
+     * Frame rate adaptive quality should hold (a frame cap lowers it, so capped
+     * frames don't count as slow ones)
+     * @param {number} fps
+     */
+    setTargetFrameRate(fps) {
+        this.qualityGovernor.setTargetFps(fps);
+    }
+    
+    /**
+     * Dispose the post-processing composers (cleanup)
+     */
+    disposePostProcessing() {
+        this.postProcessing.dispose();
+        this.composer = null;
+        this.faceComposer = null;
+        this.outputComposer = null;
+        if (this.frameTarget) {
+            this.frameTarget.dispose();
+            this.frameTarget = null;
+        }
+        console.log('🗑️  Post-processing composers disposed');
+    }
+    
+    /**
+     * Release the renderer and everything allocated for it (face targets, composers,
+     * overlays) and remove its listeners - the manager is unusable afterwards.
+     * The canvas stays in the page: a new RenderManager on it gets the same WebGL context.
+     */
+    dispose() {
+        window.removeEventListener('resize', this.handleResize);
+        this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+        
+        if (this.viewTransitionTween) {
+            this.viewTransitionTween.kill();
+            this.viewTransitionTween = null;
+        }
+        this.endOffscreen();
+        
+        this.compositor.dispose();
+        this.disposePostProcessing();
+        if (this.calibrationOverlay) {
+            this.calibrationOverlay.dispose();
+            this.calibrationOverlay = null;
+        }
+        if (this.statusOverlay) {
+            this.statusOverlay.remove();
+            this.statusOverlay = null;
+        }
+        
+        this.resizeCallbacks = [];
+        this.qualityCallbacks = [];
+        this.contextLostCallbacks = [];
+        this.contextRestoredCallbacks = [];
+        
+        this.renderer.dispose();
+        console.log('🗑️  RenderManager disposed');
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { ENVIRONMENT_PRESETS, DEFAULT_ENVIRONMENT, createPresetTexture } from './EnvironmentPresets.js';
+import { ModelFileSet, readGltfJson } from './ModelFileSet.js';
 
 export class SceneManager {
     constructor(renderer = null) {
@@ -10,13 +13,26 @@ export class SceneManager {
         this.currentObject = null;
         this.gltfLoader = new GLTFLoader();
         this.rgbeLoader = new RGBELoader();
+        this.exrLoader = new EXRLoader();
         this.renderer = renderer;
         this.environmentReady = false;
+        this.modelLoadedCallbacks = [];
+        this.objectChangeCallbacks = [];
         
         // Lighting system state
         this.lightingMode = 'ibl'; // 'ibl' or 'legacy'
         this.envMap = null;
+        this.envTarget = null;  // PMREM render target holding envMap
+        this.envSource = null;  // Equirectangular HDRI the envMap was made from (kept to rebuild it)
+        this.envScene = null;   // Inside-out sphere showing envSource, captured by PMREM (see buildEnvironment)
+        this.envSphere = null;
+        this.pmremGenerator = null;  // Kept across builds (its blur shaders compile once)
+        this.environmentBuildFrame = null;  // Pending coalesced rebuild (see scheduleEnvironmentBuild)
+        this.environment = { name: null, rotation: 0, intensity: 1 };
+        this.environmentRequest = 0;  // Increments per setEnvironment() call - stale loads are dropped
+        this.environmentCallbacks = [];
         this.legacyLights = [];
+        this.disposed = false;
         
         // Setup IBL lighting asynchronously (default)
         this.setupLighting();
@@ -25,44 +41,215 @@ export class SceneManager {
     async setupLighting() {
         console.log('🌍 Setting up IBL (Image-Based Lighting)...');
         
-        // Use a neutral studio HDRI for ModelViewer-style lighting
-        // Using Three.js example HDRI from public CDN
-        const hdriUrl = 'https://threejs.org/examples/textures/equirectangular/royal_esplanade_1k.hdr';
+        if (!this.renderer) {
+            console.warn('⚠️  No renderer provided, using legacy lighting');
+            this.setupLegacyLighting();
+            return;
+        }
+        
+        // Bundled studio preset: no download, so offline kiosks light up immediately
+        // (the online HDRI stays selectable, see ENVIRONMENT_PRESETS)
+        const ready = await this.setEnvironment(DEFAULT_ENVIRONMENT);
+        if (!ready && !this.envMap && !this.disposed) {
+            console.error('❌ No IBL environment available, using legacy lighting');
+            this.setupLegacyLighting();
+        }
+    }
+    
+    /**
+     * Switch the IBL environment (the latest call wins if several are loading)
+     * Usage in console: window.app.sceneManager.setEnvironment('sunset')
+     * @param {string|File} source - Preset name (see ENVIRONMENT_PRESETS), .hdr/.exr URL or file
+     * @returns {Promise<boolean>} - false if it could not be loaded (the current environment stays)
+     */
+    async setEnvironment(source) {
+        if (!this.renderer) {
+            console.warn('⚠️  No renderer provided, environments need one');
+            return false;
+        }
         
+        const request = ++this.environmentRequest;
+        const preset = typeof source === 'string' ? ENVIRONMENT_PRESETS[source] : null;
+        let texture;
         try {
-            const texture = await this.loadHDRI(hdriUrl);
-            
-            if (this.renderer) {
-                const pmremGenerator = new THREE.PMREMGenerator(this.renderer);
-                pmremGenerator.compileEquirectangularShader();
-                
-                this.envMap = pmremGenerator.fromEquirectangular(texture).texture;
-                
-                // Set as scene environment for PBR reflections
-                this.scene.environment = this.envMap;
-                
-                // Optional: use as background (commented out for black background)
-                // this.scene.background = this.envMap;
-                
-                texture.dispose();
-                pmremGenerator.dispose();
-                
-                this.environmentReady = true;
-                this.lightingMode = 'ibl';
-                console.log('✅ IBL environment ready');
+            if (preset) {
+                texture = preset.url ? await this.loadHDRI(preset.url) : createPresetTexture(preset);
+            } else if (source instanceof File) {
+                texture = await this.loadEnvironmentFile(source);
+            } else if (typeof source === 'string' && /\.(hdr|exr)([?#]|$)/i.test(source)) {
+                texture = await this.loadHDRI(source);
             } else {
-                console.warn('⚠️  No renderer provided, using legacy lighting');
-                this.setupLegacyLighting();
+                console.warn(`⚠️  Unknown environment: ${source} (presets: ${Object.keys(ENVIRONMENT_PRESETS).join(', ')})`);
+                return false;
             }
         } catch (error) {
-            console.error('❌ Failed to load HDRI, using legacy lighting:', error);
-            this.setupLegacyLighting();
+            if (preset?.fallback && request === this.environmentRequest) {
+                console.warn(`⚠️  Environment "${source}" unavailable, using "${preset.fallback}":`, error.message ?? error);
+                return this.setEnvironment(preset.fallback);
+            }
+            console.error('❌ Failed to load environment:', error);
+            return false;
+        }
+        
+        // Torn down, or another environment was requested while this one loaded
+        if (this.disposed || request !== this.environmentRequest) {
+            texture.dispose();
+            return false;
+        }
+        
+        if (this.envSource) {
+            this.envSource.dispose();
+        }
+        this.envSource = texture;
+        this.environment.name = preset ? source : 'custom';
+        this.buildEnvironment();
+        
+        // An environment means image-based lighting
+        this.clearLegacyLights();
+        this.scene.environment = this.envMap;
+        this.lightingMode = 'ibl';
+        this.environmentReady = true;
+        console.log(`✅ IBL environment ready: ${this.environment.name}`);
+        
+        this.notifyEnvironmentChanged();
+        return true;
+    }
+    
+    /**
+     * Turn the environment around the vertical axis
+     * Usage in console: window.app.sceneManager.setEnvironmentRotation(90)
+     * @param {number} degrees
+     */
+    setEnvironmentRotation(degrees) {
+        this.environment.rotation = ((degrees % 360) + 360) % 360;
+        this.scheduleEnvironmentBuild();
+        this.notifyEnvironmentChanged();
+    }
+    
+    /**
+     * Scale the environment's light
+     * Usage in console: window.app.sceneManager.setEnvironmentIntensity(1.5)
+     * @param {number} intensity - 1 = as loaded
+     */
+    setEnvironmentIntensity(intensity) {
+        this.environment.intensity = Math.max(intensity, 0);
+        this.scheduleEnvironmentBuild();
+        this.notifyEnvironmentChanged();
+    }
+    
+    /**
+     * @returns {{name: string|null, rotation: number, intensity: number}} - name is a preset,
+     *          'custom' for URLs / files, null before the first environment is ready
+     */
+    getEnvironment() {
+        return { ...this.environment };
+    }
+    
+    /**
+     * Prefilter envSource into the PMREM environment map, with the current rotation
+     * and intensity. This three.js version has no scene.environment rotation or
+     * intensity, so both are baked in: the HDRI is drawn on an inside-out sphere
+     * that is turned and tinted, and PMREM captures that.
+     * The source stays uploaded and the generator alive, so rebuilds only re-render.
+     */
+    buildEnvironment() {
+        if (!this.envSource || !this.renderer) return;
+        
+        if (this.environmentBuildFrame !== null) {
+            cancelAnimationFrame(this.environmentBuildFrame);
+            this.environmentBuildFrame = null;
+        }
+        
+        if (!this.envSphere) {
+            const geometry = new THREE.SphereGeometry(1, 64, 32);
+            geometry.scale(-1, 1, 1);  // Seen from inside, same orientation as equirectangular mapping (with the half turn below)
+            this.envSphere = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial());
+            this.envScene = new THREE.Scene();
+            this.envScene.add(this.envSphere);
+        }
+        
+        const material = this.envSphere.material;
+        if (material.map !== this.envSource) {
+            material.map = this.envSource;
+            material.needsUpdate = true;  // Only on a new source: rotation and intensity keep the program
+        }
+        material.color.setScalar(this.environment.intensity);
+        this.envSphere.rotation.y = Math.PI + THREE.MathUtils.degToRad(this.environment.rotation);
+        
+        if (!this.pmremGenerator) {
+            this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+        }
+        const envTarget = this.pmremGenerator.fromScene(this.envScene);
+        
+        const usingEnvMap = this.envMap !== null && this.scene.environment === this.envMap;
+        if (this.envTarget) {
+            this.envTarget.dispose();
+        }
+        this.envTarget = envTarget;
+        this.envMap = envTarget.texture;
+        if (usingEnvMap) {
+            this.scene.environment = this.envMap;
+        }
+    }
+    
+    /**
+     * Rebuild once per animation frame: rotation and intensity sliders fire on every
+     * input event, a PMREM capture per event would stall the page
+     */
+    scheduleEnvironmentBuild() {
+        if (!this.envSource || !this.renderer || this.environmentBuildFrame !== null) return;
+        
+        this.environmentBuildFrame = requestAnimationFrame(() => {
+            this.environmentBuildFrame = null;
+            this.buildEnvironment();
+        });
+    }
+    
+    /**
+     * Regenerate the PMREM environment - it only exists on the GPU, so it is
+     * lost with the WebGL context (see RenderManager.onContextRestoredCallback)
+     */
+    rebuildEnvironment() {
+        if (!this.envSource || !this.renderer) return;
+        
+        // The generator's targets and shaders went with the old context
+        if (this.pmremGenerator) {
+            this.pmremGenerator.dispose();
+            this.pmremGenerator = null;
         }
+        this.buildEnvironment();
+        console.log('🌍 IBL environment rebuilt');
+    }
+    
+    /**
+     * Register a callback for environment changes (preset, rotation, intensity)
+     * @param {(environment: Object) => void} callback - Receives getEnvironment()
+     */
+    onEnvironmentChangeCallback(callback) {
+        this.environmentCallbacks.push(callback);
     }
     
-    loadHDRI(url) {
+    notifyEnvironmentChanged() {
+        const environment = this.getEnvironment();
+        this.environmentCallbacks.forEach(callback => {
+            try {
+                callback(environment);
+            } catch (error) {
+                console.error('Environment change callback error:', error);
+            }
+        });
+    }
+    
+    /**
+     * Load an equirectangular .hdr (Radiance) or .exr (OpenEXR) image
+     * @param {string} url
+     * @param {string} [name=url] - File name deciding the format (blob URLs have no extension)
+     * @returns {Promise<THREE.DataTexture>}
+     */
+    loadHDRI(url, name = url) {
+        const loader = /\.exr([?#]|$)/i.test(name) ? this.exrLoader : this.rgbeLoader;
         return new Promise((resolve, reject) => {
-            this.rgbeLoader.load(
+            loader.load(
                 url,
                 (texture) => {
                     texture.mapping = THREE.EquirectangularReflectionMapping;
@@ -74,6 +261,25 @@ export class SceneManager {
         });
     }
     
+    /**
+     * Load a user-supplied .hdr / .exr file
+     * @param {File} file
+     * @returns {Promise<THREE.DataTexture>}
+     */
+    async loadEnvironmentFile(file) {
+        if (!/\.(hdr|exr)$/i.test(file.name)) {
+            throw new Error(`${file.name} is not an .hdr or .exr image`);
+        }
+        
+        console.log(`📂 Loading environment from file: ${file.name}`);
+        const url = URL.createObjectURL(file);
+        try {
+            return await this.loadHDRI(url, file.name);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
     setupLegacyLighting() {
         // Legacy simple lighting system (old version)
         console.log('🔦 Using legacy lighting');
@@ -132,17 +338,33 @@ export class SceneManager {
     }
     
     _disposeObject(object) {
-        // Recursively dispose all geometries and materials
+        // Recursively dispose all geometries, materials and their textures
         object.traverse((child) => {
             if (child.geometry) {
                 child.geometry.dispose();
             }
             if (child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(m => m.dispose());
-                } else {
-                    child.material.dispose();
-                }
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    this._disposeTextures(material);
+                    material.dispose();
+                });
+            }
+            if (child.isLight && child.dispose) {
+                child.dispose();  // Shadow map render targets
+            }
+        });
+    }
+    
+    _disposeTextures(material) {
+        const values = Object.values(material);
+        if (material.uniforms) {
+            values.push(...Object.values(material.uniforms).map(uniform => uniform.value));
+        }
+        values.forEach(value => {
+            // Render target textures belong to their targets (e.g. the PMREM environment)
+            if (value?.isTexture && !value.isRenderTargetTexture) {
+                value.dispose();
             }
         });
     }
@@ -159,6 +381,14 @@ export class SceneManager {
         this.currentObject = newObject;
         this.scene.add(newObject);
         console.log('✅ New object added to scene');
+        
+        this.objectChangeCallbacks.forEach(callback => {
+            try {
+                callback(newObject);
+            } catch (error) {
+                console.error('Object change callback error:', error);
+            }
+        });
     }
     
     normalizeModel(object) {
@@ -208,6 +438,9 @@ export class SceneManager {
         return this.currentObject;
     }
     
+    /**
+     * @returns {Promise<THREE.Object3D|null>} - The normalized model (null if disposed meanwhile)
+     */
     async loadModelFromURL(url) {
         console.log(`📥 Loading model from URL: ${url}`);
         
@@ -215,10 +448,16 @@ export class SceneManager {
             this.gltfLoader.load(
                 url,
                 (gltf) => {
+                    if (this.disposed) {
+                        this._disposeObject(gltf.scene);
+                        resolve(null);
+                        return;
+                    }
                     console.log('✅ Model loaded successfully');
                     const model = gltf.scene;
                     this.normalizeModel(model);
                     this._replaceObject(model);
+                    this.notifyModelLoaded(model);
                     resolve(model);
                 },
                 (progress) => {
@@ -233,38 +472,98 @@ export class SceneManager {
         });
     }
     
+    /**
+     * @param {File} file - A .glb, or a .gltf without external resources
+     * @returns {Promise<THREE.Object3D|null>} - The normalized model (null if disposed meanwhile)
+     */
     async loadModelFromFile(file) {
+        return this.loadModelFromFiles([file]);
+    }
+    
+    /**
+     * Load a model from picked or dropped files: a .glb/.gltf plus the .bin buffers
+     * and textures it references (resolved from blob URLs, see ModelFileSet)
+     * Usage in console: window.app.sceneManager.loadModelFromFiles(document.getElementById('modelFile').files)
+     * @param {FileList|File[]|ModelFileSet} files
+     * @returns {Promise<THREE.Object3D|null>} - The normalized model (null if disposed meanwhile)
+     */
+    async loadModelFromFiles(files) {
+        const fileSet = files instanceof ModelFileSet ? files : new ModelFileSet(files);
+        const file = fileSet.getModelFile();
+        if (!file) {
+            throw new Error('No .glb or .gltf file found');
+        }
+        
         console.log(`📂 Loading model from file: ${file.name}`);
         
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (event) => {
-                const arrayBuffer = event.target.result;
-                
-                this.gltfLoader.parse(
-                    arrayBuffer,
-                    '',
-                    (gltf) => {
-                        console.log('✅ Model loaded successfully');
-                        const model = gltf.scene;
-                        this.normalizeModel(model);
-                        this._replaceObject(model);
-                        resolve(model);
-                    },
-                    (error) => {
-                        console.error('❌ Error parsing model:', error);
-                        reject(error);
-                    }
-                );
-            };
-            
-            reader.onerror = (error) => {
-                console.error('❌ Error reading file:', error);
-                reject(error);
-            };
+        const basePath = fileSet.getBasePath(file);
+        const arrayBuffer = await file.arrayBuffer();
+        
+        // Check the external buffers and images up front - GLTFLoader would fail on a
+        // missing .bin with a bare fetch error and skip a missing texture with a warning
+        let json;
+        try {
+            json = readGltfJson(arrayBuffer);
+        } catch (error) {
+            throw new Error(`${file.name} is not a valid glTF file (${error.message})`);
+        }
+        const missing = fileSet.findMissing(json, basePath);
+        if (missing.length > 0) {
+            throw new Error(`${file.name} references files that were not selected: ${missing.join(', ')}. ` +
+                'Select them together with the model, or drop the whole folder.');
+        }
+        
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier((url) => fileSet.resolve(url));
+        const loader = new GLTFLoader(manager);
+        
+        try {
+            const gltf = await new Promise((resolve, reject) => {
+                loader.parse(arrayBuffer, basePath, resolve, reject);
+            });
             
-            reader.readAsArrayBuffer(file);
+            if (this.disposed) {
+                this._disposeObject(gltf.scene);
+                return null;
+            }
+            console.log('✅ Model loaded successfully');
+            const model = gltf.scene;
+            this.normalizeModel(model);
+            this._replaceObject(model);
+            this.notifyModelLoaded(model);
+            return model;
+        } catch (error) {
+            console.error('❌ Error parsing model:', error);
+            throw error;
+        } finally {
+            // Textures are decoded by the time parse() finishes
+            fileSet.dispose();
+        }
+    }
+    
+    /**
+     * Register a callback run after every loaded model is normalized and added to the scene
+     * @param {Function} callback - Receives the loaded model (THREE.Object3D)
+     */
+    onModelLoadedCallback(callback) {
+        this.modelLoadedCallbacks.push(callback);
+    }
+    
+    /**
+     * Register a callback run whenever the displayed object is replaced (primitives and models)
+     * @param {Function} callback - Receives the new object (THREE.Object3D)
+     */
+    onObjectChangeCallback(callback) {
+        this.objectChangeCallbacks.push(callback);
+    }
+    
+    notifyModelLoaded(model) {
+        this.modelLoadedCallbacks.forEach(callback => {
+            try {
+                callback(model);
+            } catch (error) {
+                console.error('Model loaded callback error:', error);
+            }
         });
     }
     
@@ -279,4 +578,51 @@ export class SceneManager {
     getScene() {
         return this.scene;
     }
+    
+    /**
+     * Free everything in the scene (models, app objects, lights) and the IBL
+     * environment - the manager is unusable afterwards
+     */
+    dispose() {
+        this.disposed = true;
+        
+        this._disposeObject(this.scene);
+        this.scene.clear();
+        this.currentObject = null;
+        this.legacyLights = [];
+        
+        this.scene.environment = null;
+        if (this.scene.background?.isTexture) {
+            this.scene.background.dispose();
+        }
+        this.scene.background = null;
+        if (this.envTarget) {
+            this.envTarget.dispose();
+            this.envTarget = null;
+        }
+        this.envMap = null;
+        if (this.envSource) {
+            this.envSource.dispose();
+            this.envSource = null;
+        }
+        if (this.envSphere) {
+            this.envSphere.geometry.dispose();
+            this.envSphere.material.dispose();
+            this.envSphere = null;
+            this.envScene = null;
+        }
+        if (this.pmremGenerator) {
+            this.pmremGenerator.dispose();
+            this.pmremGenerator = null;
+        }
+        if (this.environmentBuildFrame !== null) {
+            cancelAnimationFrame(this.environmentBuildFrame);
+            this.environmentBuildFrame = null;
+        }
+        
+        this.modelLoadedCallbacks = [];
+        this.objectChangeCallbacks = [];
+        this.environmentCallbacks = [];
+        console.log('🗑️  SceneManager disposed');
+    }
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Seeded pseudo-random generator (mulberry32) - drop-in for Math.random
+ *
+ * Offline frame rendering uses it so particle effects play back identically
+ * on every render of the same seed.
+ *
+ * Usage:
+ *   const random = createSeededRandom(42);
+ *   random(); // 0 <= value < 1, same sequence for the same seed
+ *
+ * @param {number} seed - Any integer
+ * @returns {() => number}
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * UrlState - Shareable settings encoded in the URL hash
+ *
+ * Settings live in the hash (`#pitch=20&yaw=-35&distance=4.2&mode=pepper-ghost`)
+ * so a link reproduces an exact setup on another device without a server
+ * round-trip. Unknown keys and invalid values are ignored on read.
+ *
+ * Usage:
+ *   const urlState = new UrlState({ pitch: 'number', mode: ['pepper-ghost', 'unified-front'] });
+ *   const restored = urlState.read();       // { pitch: 20, mode: 'pepper-ghost' }
+ *   urlState.sync({ pitch: 25, mode: 'unified-front' }); // call every frame - throttled, writes on change
+ */
+export class UrlState {
+    /**
+     * @param {Object<string, 'number'|'boolean'|string[]>} schema - Key → value type (array = allowed strings)
+     * @param {Object} [options]
+     * @param {number} [options.throttleMs=500] - Minimum time between hash updates
+     */
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.throttleMs = options.throttleMs ?? 500;
+        this.lastHash = window.location.hash.slice(1);
+        this.lastSyncTime = 0;
+    }
+
+    /**
+     * Parse the settings present in the current URL hash
+     * @returns {Object} - Only keys that are in the schema and hold a valid value
+     */
+    read() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const state = {};
+
+        Object.entries(this.schema).forEach(([key, type]) => {
+            if (!params.has(key)) return;
+
+            const raw = params.get(key);
+            if (Array.isArray(type)) {
+                if (type.includes(raw)) state[key] = raw;
+            } else if (type === 'boolean') {
+                if (raw === '1' || raw === '0') state[key] = raw === '1';
+            } else {
+                const value = parseFloat(raw);
+                if (Number.isFinite(value)) state[key] = value;
+            }
+        });
+
+        if (Object.keys(state).length > 0) {
+            console.log('🔗 Settings restored from URL:', state);
+        }
+        return state;
+    }
+
+    /**
+     * Encode settings as a hash string (numbers rounded to 4 decimals)
+     * @param {Object} state - Settings to encode (null/undefined values are skipped)
+     * @returns {string}
+     */
+    encode(state) {
+        const params = new URLSearchParams();
+
+        Object.keys(this.schema).forEach(key => {
+            const value = state[key];
+            if (value === undefined || value === null) return;
+
+            if (typeof value === 'boolean') {
+                params.set(key, value ? '1' : '0');
+            } else if (typeof value === 'number') {
+                params.set(key, String(Number(value.toFixed(4))));
+            } else {
+                params.set(key, value);
+            }
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * Write settings to the URL hash if they changed (throttled, no history entries)
+     * @param {Object} state - Current settings
+     */
+    sync(state) {
+        const now = performance.now();
+        if (now - this.lastSyncTime < this.throttleMs) return;
+        this.lastSyncTime = now;
+
+        const hash = this.encode(state);
+        if (hash === this.lastHash) return;
+
+        this.lastHash = hash;
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+    }
+
+    /**
+     * Current page URL including the encoded settings
+     * @returns {string}
+     */
+    getShareUrl() {
+        return window.location.href;
+    }
+}
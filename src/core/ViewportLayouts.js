@@ -0,0 +1,263 @@
+import * as THREE from 'three';
+
+/**
+ * ViewportLayouts - Registry of face viewport layouts used by RenderManager
+ *
+ * A layout maps the face cameras onto the canvas:
+ *
+ *   {
+ *       faceCount: 3,                 // Optional: pyramid face count this layout is built for
+ *       gap: 0,                       // Optional: default gap in CSS pixels
+ *       pyramidGuides: true,          // Optional: faces surround a pyramid at the canvas center
+ *       mask: { shape: 'facet' },     // Optional: default face mask (see FaceMasks), or one per face
+ *       compute({ width, height, cameras, calibration, gap, options }) → faces[]
+ *   }
+ *
+ * `options` are the options given to RenderManager.setLayout().
+ *
+ * `compute` returns one entry per camera: a WebGL viewport (origin bottom-left,
+ * CSS pixels) or null to leave that face out:
+ *
+ *   { x, y, width, height, rotation?, mirror? }
+ *
+ * `rotation` is the image roll in degrees (0 = upright, same convention as the
+ * CameraManager face roll); leave it out to keep the camera's own roll.
+ * `mirror` flips the face horizontally on top of the face override.
+ *
+ * Usage:
+ *   registerLayout('my-rig', createCustomLayout({ faces: [{ x: 0.5, y: 0.5, width: 1, height: 1 }] }));
+ *   renderManager.setLayout('my-rig');
+ */
+const layouts = new Map();
+
+// Pyramid layouts light only the wedge each facet reflects, with a soft edge
+const FACET_MASK = { shape: 'facet', feather: 0.04 };
+
+/**
+ * Add or replace a layout
+ * @param {string} name - Layout name used by RenderManager.setLayout()
+ * @param {Object} layout - { compute, faceCount?, gap?, pyramidGuides?, mask? }
+ */
+export function registerLayout(name, layout) {
+    if (!layout || typeof layout.compute !== 'function') {
+        throw new Error(`Layout "${name}" must have a compute() function`);
+    }
+    layouts.set(name, layout);
+}
+
+/**
+ * @param {string} name - Layout name
+ * @returns {Object|null}
+ */
+export function getLayout(name) {
+    return layouts.get(name) || null;
+}
+
+/**
+ * @returns {string[]} - Registered layout names
+ */
+export function getLayoutNames() {
+    return [...layouts.keys()];
+}
+
+/**
+ * Build a layout from a JSON description (rects in canvas fractions, origin top-left)
+ *
+ *   {
+ *       "faceCount": 4,
+ *       "gap": 8,
+ *       "pyramidGuides": false,
+ *       "mask": { "shape": "trapezoid", "apexWidth": 0.3, "feather": 0.05 },
+ *       "faces": [
+ *           { "x": 0.5, "y": 0.85, "width": 0.3, "height": 0.3, "rotation": 0, "mirror": false }
+ *       ]
+ *   }
+ *
+ * `x`/`y` are the rect center, `width`/`height` fractions of the canvas size.
+ * Faces without an entry are not rendered. `gap` trims each rect on every side.
+ *
+ * @param {Object|string} definition - Layout description (object or JSON string)
+ * @returns {Object} - Layout for registerLayout()
+ */
+export function createCustomLayout(definition) {
+    const data = typeof definition === 'string' ? JSON.parse(definition) : definition;
+
+    if (!data || !Array.isArray(data.faces) || data.faces.length === 0) {
+        throw new Error('Custom layout needs a non-empty "faces" array');
+    }
+
+    const faces = data.faces.map((face, i) => {
+        const { x, y, width, height } = face;
+        if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+            throw new Error(`Custom layout face ${i} needs numeric x, y, width, height`);
+        }
+        return {
+            x, y, width, height,
+            rotation: Number.isFinite(face.rotation) ? face.rotation : undefined,
+            mirror: !!face.mirror
+        };
+    });
+
+    return {
+        faceCount: Number.isInteger(data.faceCount) ? data.faceCount : null,
+        gap: Number.isFinite(data.gap) ? data.gap : 0,
+        pyramidGuides: !!data.pyramidGuides,
+        mask: data.mask ?? null,
+        compute({ width, height, cameras, gap }) {
+            return cameras.map((camera, i) => {
+                const face = faces[i];
+                if (!face) return null;
+
+                const faceWidth = face.width * width - gap * 2;
+                const faceHeight = face.height * height - gap * 2;
+                return {
+                    x: face.x * width - faceWidth / 2,
+                    y: (1 - face.y) * height - faceHeight / 2,  // Top-left origin → WebGL bottom-left
+                    width: faceWidth,
+                    height: faceHeight,
+                    rotation: face.rotation,
+                    mirror: face.mirror
+                };
+            });
+        }
+    };
+}
+
+/**
+ * Radial: one square viewport per face around the screen center (default)
+ *
+ * Each viewport sits on its face's screen direction (camera.userData.faceAngle).
+ * With a calibration profile, size and center gap come from the physical pyramid.
+ * Otherwise the ring radius keeps neighbouring squares apart; for four faces it
+ * equals the viewport size, which gives the classic top/bottom/left/right cross.
+ * `gap` moves every viewport further out from the center.
+ */
+registerLayout('radial', {
+    pyramidGuides: true,
+    mask: FACET_MASK,
+    compute({ width: w, height: h, cameras, calibration, gap }) {
+        const count = cameras.length;
+        const centerX = w / 2;
+        const centerY = h / 2;
+
+        let viewSize;
+        let radius;
+
+        if (calibration) {
+            // Viewport covers the facet footprint, starting at the apex gap
+            viewSize = calibration.getViewportSize(w);
+            radius = calibration.getCenterGap(w) + gap + viewSize / 2;
+        } else {
+            // Ring radius in viewport units (1.0 for four faces)
+            const ringFactor = 1 / (Math.SQRT2 * Math.sin(Math.PI / count));
+
+            // Layout spans ring + half a viewport on each side, with a 10% margin
+            // (four faces, no gap: Math.min(w, h) / 3.3, the original cross layout)
+            viewSize = (Math.min(w, h) / 2 - gap) / ((ringFactor + 0.5) * 1.1);
+            radius = viewSize * ringFactor + gap;
+        }
+
+        return cameras.map((camera, i) => {
+            const angle = camera.userData.faceAngle ?? (270 + i * 360 / count);
+            const angleRad = THREE.MathUtils.degToRad(angle);
+
+            return {
+                x: centerX + radius * Math.cos(angleRad) - viewSize / 2,
+                y: centerY + radius * Math.sin(angleRad) - viewSize / 2,
+                width: viewSize,
+                height: viewSize
+            };
+        });
+    }
+});
+
+/**
+ * Grid: faces fill equal cells row by row from the top-left (2×2 for four faces)
+ * Each cell is one monitor of a multi-monitor rig, so images stay upright.
+ * `gap` is the spacing between cells.
+ */
+registerLayout('grid', {
+    compute({ width: w, height: h, cameras, gap }) {
+        const count = cameras.length;
+        const cols = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / cols);
+        const cellWidth = (w - gap * (cols - 1)) / cols;
+        const cellHeight = (h - gap * (rows - 1)) / rows;
+
+        return cameras.map((camera, i) => {
+            const row = Math.floor(i / cols);
+            const col = i % cols;
+
+            return {
+                x: col * (cellWidth + gap),
+                y: h - (row + 1) * cellHeight - row * gap,
+                width: cellWidth,
+                height: cellHeight,
+                rotation: 0
+            };
+        });
+    }
+});
+
+/**
+ * Single: the Front face fills the canvas, mirrored for a one-sheet Pepper's Ghost
+ * stage (a single reflection flips the image). `gap` is the margin around it.
+ */
+registerLayout('single', {
+    compute({ width: w, height: h, cameras, gap }) {
+        return cameras.map((camera, i) => (i === 0
+            ? { x: gap, y: gap, width: w - gap * 2, height: h - gap * 2, rotation: 0, mirror: true }
+            : null));
+    }
+});
+
+/**
+ * Triangle: three faces for a three-sided prism, as large as the canvas allows
+ *
+ * Squares sit below (Front) and on the upper-left/right diagonals, pushed out just
+ * far enough not to overlap (ring radius ⅔ of the viewport size, plus `gap`).
+ * The whole arrangement is centered on the canvas.
+ */
+registerLayout('triangle', {
+    faceCount: 3,
+    pyramidGuides: true,
+    mask: FACET_MASK,
+    compute({ width: w, height: h, cameras, gap }) {
+        // Fit: vertical span 1.5·r + size, horizontal span √3·r + size, r = ⅔·size + gap
+        const viewSize = Math.max(0, Math.min(
+            (h - 1.5 * gap) / 2,
+            (w - Math.sqrt(3) * gap) / (1 + 2 / Math.sqrt(3))
+        ));
+        const radius = viewSize * 2 / 3 + gap;
+
+        // Faces reach r below the center but only r/2 above it - recenter vertically
+        const centerX = w / 2;
+        const centerY = h / 2 + radius / 4;
+
+        return cameras.map((camera, i) => {
+            if (i > 2) return null;
+
+            const angleRad = THREE.MathUtils.degToRad(270 + i * 120);
+            return {
+                x: centerX + radius * Math.cos(angleRad) - viewSize / 2,
+                y: centerY + radius * Math.sin(angleRad) - viewSize / 2,
+                width: viewSize,
+                height: viewSize
+            };
+        });
+    }
+});
+
+/**
+ * Face: one face fills the whole window - one monitor or projector per facet,
+ * each face in its own browser window (see WindowSync). `face` picks the face
+ * (default Front), `rotation` turns the image for the way the display is mounted.
+ */
+registerLayout('face', {
+    compute({ width: w, height: h, cameras, options }) {
+        const face = options.face ?? 0;
+        return cameras.map((camera, i) => (i === face
+            ? { x: 0, y: 0, width: w, height: h, rotation: options.rotation ?? 0 }
+            : null));
+    }
+});
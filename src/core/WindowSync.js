@@ -0,0 +1,280 @@
+/**
+ * WindowSync - Drives face windows from one primary window over BroadcastChannel
+ *
+ * Large installations put every facet on its own monitor or projector: each face
+ * is opened in its own browser window (`?face=N`), the window with the controls is
+ * the primary. Every frame the primary publishes its state (object rotation,
+ * animation time, settings) and app events (flame extinguished, tap sequence...).
+ *
+ * Frame-time alignment: messages carry a timestamp on a clock shared by every
+ * window of the browser (performance.timeOrigin + performance.now()). Followers
+ * render the primary's state as of `now - delay`, interpolated between the two
+ * snapshots around that time, and fire events when that time passes theirs - so
+ * all face windows show the same moment on the same frame, however their
+ * requestAnimationFrame callbacks are phased and however late a message arrives
+ * (up to `delay`).
+ *
+ * State is a flat object: keys listed in `interpolate` (numbers) and `angles`
+ * (degrees, the short way round) are blended between snapshots, every other key
+ * is taken from the latest snapshot at or before the playout time. Events only
+ * reach windows that are open when they happen: whatever a window opened later
+ * must show belongs in the state too.
+ *
+ * The primary only publishes while followers are listening (they say hello every
+ * second), so a single window costs nothing.
+ *
+ * Usage:
+ *   // Primary, every frame:
+ *   sync.publish({ rotation: mesh.rotation.y, settings: app.getUrlState() });
+ *   sync.emit('flame', { burning: false });
+ *
+ *   // Follower:
+ *   const sync = new WindowSync({ role: 'follower', interpolate: ['rotation'], onState: (state) => apply(state) });
+ *   sync.on('flame', ({ burning }) => ...);
+ *   sync.update();  // every frame - applies state and due events
+ */
+
+const HELLO_INTERVAL = 1000;  // ms between follower hellos
+const FOLLOWER_TIMEOUT = 3000; // ms without a hello before a follower counts as gone
+const PRIMARY_TIMEOUT = 1000;  // ms without a message before a follower takes another primary
+const BUFFER_MARGIN = 1000;    // ms of history a follower keeps behind its playout time
+
+export class WindowSync {
+    /**
+     * @param {Object} [options]
+     * @param {'primary'|'follower'} [options.role='primary']
+     * @param {string} [options.channel='pepper-ghost-sync'] - BroadcastChannel name (one per app page)
+     * @param {number} [options.delay=50] - Follower playout delay in ms
+     * @param {string[]} [options.interpolate=[]] - State keys blended linearly
+     * @param {string[]} [options.angles=[]] - State keys blended as angles in degrees
+     * @param {(state: Object) => void} [options.onState] - Follower: apply the state for this frame
+     */
+    constructor(options = {}) {
+        this.role = options.role ?? 'primary';
+        this.channelName = options.channel ?? 'pepper-ghost-sync';
+        this.delay = options.delay ?? 50;
+        this.interpolateKeys = options.interpolate ?? [];
+        this.angleKeys = options.angles ?? [];
+        this.onState = options.onState || null;
+
+        this.id = Math.random().toString(36).slice(2, 10);
+        this.listeners = {};           // Event name → callbacks (follower)
+        this.snapshots = [];           // { time, state }, oldest first (follower)
+        this.events = [];              // { time, name, data } waiting for playout (follower)
+        this.followers = new Map();    // Follower id → last hello time (primary)
+        this.primaryId = null;         // Primary this follower listens to
+        this.lastMessageTime = 0;
+        this.helloTimer = null;
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('⚠️  BroadcastChannel not supported - face windows cannot be synchronized');
+            this.channel = null;
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        if (this.role === 'follower') {
+            this.post({ type: 'hello' });
+            this.helloTimer = setInterval(() => this.post({ type: 'hello' }), HELLO_INTERVAL);
+            this.onPageHide = () => this.post({ type: 'bye' });
+            window.addEventListener('pagehide', this.onPageHide);
+        }
+
+        console.log(`🪟 Window sync: ${this.role} on "${this.channelName}"`);
+    }
+
+    /**
+     * Clock shared by all windows of this browser (ms)
+     */
+    static now() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isFollower() {
+        return this.role === 'follower';
+    }
+
+    /**
+     * @returns {boolean} - Primary: true while at least one follower listens
+     */
+    hasFollowers() {
+        const now = WindowSync.now();
+        for (const [id, seen] of this.followers) {
+            if (now - seen > FOLLOWER_TIMEOUT) this.followers.delete(id);
+        }
+        return this.followers.size > 0;
+    }
+
+    /**
+     * Primary: send the state of this frame
+     * @param {Object} state - Structured-cloneable, flat (see class comment)
+     */
+    publish(state) {
+        if (this.role !== 'primary' || !this.hasFollowers()) return;
+        this.post({ type: 'state', state });
+    }
+
+    /**
+     * Primary: send an app event; followers fire it at the same point of the timeline
+     * @param {string} name - Event name
+     * @param {*} [data] - Structured-cloneable payload
+     */
+    emit(name, data) {
+        if (this.role !== 'primary' || !this.hasFollowers()) return;
+        this.post({ type: 'event', name, data });
+    }
+
+    /**
+     * Follower: register an event handler
+     * @param {string} name - Event name
+     * @param {Function} callback - Called with the event data
+     */
+    on(name, callback) {
+        if (!this.listeners[name]) {
+            this.listeners[name] = [];
+        }
+        this.listeners[name].push(callback);
+    }
+
+    /**
+     * Follower: fire due events and apply the state for this frame - call once per frame
+     */
+    update() {
+        if (this.role !== 'follower') return;
+
+        const time = WindowSync.now() - this.delay;
+
+        // Events first: a state snapshot after an event already reflects it
+        while (this.events.length > 0 && this.events[0].time <= time) {
+            const { name, data } = this.events.shift();
+            (this.listeners[name] || []).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`❌ Error in ${name} sync listener:`, error);
+                }
+            });
+        }
+
+        const state = this.sample(time);
+        if (state) this.onState?.(state);
+    }
+
+    /**
+     * State at a point of the primary's timeline
+     * @param {number} time - Shared clock time (ms)
+     * @returns {Object|null} - null before the first snapshot
+     */
+    sample(time) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return null;
+
+        this.trimSnapshots(time);
+
+        const from = snapshots[0];
+        const to = snapshots[1];
+        if (!to || time <= from.time) return from.state;
+
+        const t = (time - from.time) / (to.time - from.time);
+        const state = { ...from.state };
+        this.interpolateKeys.forEach(key => {
+            if (typeof from.state[key] === 'number' && typeof to.state[key] === 'number') {
+                state[key] = from.state[key] + (to.state[key] - from.state[key]) * t;
+            }
+        });
+        this.angleKeys.forEach(key => {
+            if (typeof from.state[key] === 'number' && typeof to.state[key] === 'number') {
+                const delta = ((to.state[key] - from.state[key]) % 360 + 540) % 360 - 180;
+                state[key] = from.state[key] + delta * t;
+            }
+        });
+        return state;
+    }
+
+    /**
+     * Drop snapshots before the last one at or before `time` (kept as the interpolation start)
+     * @param {number} time - Shared clock time (ms)
+     */
+    trimSnapshots(time) {
+        let start = 0;
+        while (start + 1 < this.snapshots.length && this.snapshots[start + 1].time <= time) start++;
+        if (start > 0) this.snapshots.splice(0, start);
+    }
+
+    /**
+     * Drop what is too old to play out. update() consumes the buffers every frame,
+     * but a hidden or minimized window gets no frames while messages keep coming
+     * (~60 snapshots a second), so they are bounded on arrival too. Events missed
+     * that way are lost: the window catches up through the next state snapshots.
+     * @param {number} time - Shared clock time (ms)
+     */
+    trim(time) {
+        this.trimSnapshots(time);
+
+        let stale = 0;
+        while (stale < this.events.length && this.events[stale].time <= time) stale++;
+        if (stale > 0) {
+            this.events.splice(0, stale);
+            console.warn(`⚠️  Face window fell behind - ${stale} sync event(s) dropped`);
+        }
+    }
+
+    post(message) {
+        this.channel?.postMessage({ ...message, source: this.id, time: WindowSync.now() });
+    }
+
+    handleMessage(message) {
+        if (!message || typeof message !== 'object') return;
+
+        if (this.role === 'primary') {
+            if (message.type === 'hello') {
+                const isNew = !this.followers.has(message.source);
+                this.followers.set(message.source, WindowSync.now());
+                if (isNew) {
+                    console.log(`🪟 Face window joined (${this.followers.size} connected)`);
+                }
+            } else if (message.type === 'bye') {
+                this.followers.delete(message.source);
+            }
+            return;
+        }
+
+        if (message.type !== 'state' && message.type !== 'event') return;
+
+        // Several control windows: stay with one until it goes quiet
+        const now = WindowSync.now();
+        if (this.primaryId !== message.source) {
+            if (this.primaryId && now - this.lastMessageTime < PRIMARY_TIMEOUT) return;
+            this.primaryId = message.source;
+            this.snapshots = [];
+            this.events = [];
+            console.log('🪟 Following primary window');
+        }
+        this.lastMessageTime = now;
+
+        if (message.type === 'state') {
+            this.snapshots.push({ time: message.time, state: message.state });
+        } else {
+            this.events.push({ time: message.time, name: message.name, data: message.data });
+        }
+        this.trim(now - this.delay - BUFFER_MARGIN);
+    }
+
+    /**
+     * Close the channel and stop saying hello
+     */
+    dispose() {
+        if (this.helloTimer) clearInterval(this.helloTimer);
+        if (this.onPageHide) {
+            this.post({ type: 'bye' });
+            window.removeEventListener('pagehide', this.onPageHide);
+        }
+        this.channel?.close();
+        this.channel = null;
+    }
+}
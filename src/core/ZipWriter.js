@@ -0,0 +1,116 @@
+// CRC-32 (IEEE 802.3) lookup table
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number} - CRC-32 of the data
+ */
+export function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZipWriter - Minimal uncompressed (store) ZIP archive builder
+ *
+ * PNG frames are already compressed, so storing them keeps the writer tiny and fast.
+ * File data stays in Blobs; only headers are built in memory.
+ *
+ * Usage:
+ *   const zip = new ZipWriter();
+ *   await zip.addFile('frame_0001.png', pngBlob);
+ *   const blob = zip.toBlob();
+ */
+export class ZipWriter {
+    constructor() {
+        this.parts = [];        // Local headers and file data, in archive order
+        this.entries = [];      // { name, crc, size, offset } for the central directory
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file (stored, no compression)
+     * @param {string} name - Path inside the archive (ASCII)
+     * @param {Blob|Uint8Array} data - File contents
+     */
+    async addFile(name, data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(await data.arrayBuffer());
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(bytes);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);      // Local file header signature
+        header.setUint16(4, 20, true);              // Version needed (2.0)
+        header.setUint16(6, 0, true);               // Flags
+        header.setUint16(8, 0, true);               // Method: store
+        header.setUint16(10, 0, true);              // Modification time
+        header.setUint16(12, 0x21, true);           // Modification date (1980-01-01)
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);   // Compressed size
+        header.setUint32(22, bytes.length, true);   // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);              // Extra field length
+
+        this.parts.push(header.buffer, nameBytes, new Blob([bytes]));
+        this.entries.push({ nameBytes, crc, size: bytes.length, offset: this.offset });
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} - application/zip
+     */
+    toBlob() {
+        const central = [];
+        let centralSize = 0;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);  // Central directory header signature
+            header.setUint16(4, 20, true);          // Version made by
+            header.setUint16(6, 20, true);          // Version needed
+            header.setUint16(8, 0, true);           // Flags
+            header.setUint16(10, 0, true);          // Method: store
+            header.setUint16(12, 0, true);          // Modification time
+            header.setUint16(14, 0x21, true);       // Modification date
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint16(30, 0, true);          // Extra field length
+            header.setUint16(32, 0, true);          // Comment length
+            header.setUint16(34, 0, true);          // Disk number
+            header.setUint16(36, 0, true);          // Internal attributes
+            header.setUint32(38, 0, true);          // External attributes
+            header.setUint32(42, entry.offset, true);
+
+            central.push(header.buffer, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+        end.setUint16(4, 0, true);                  // Disk number
+        end.setUint16(6, 0, true);                  // Disk with central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);       // Central directory offset
+        end.setUint16(20, 0, true);                 // Comment length
+
+        return new Blob([...this.parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+}
@@ -25,6 +25,7 @@ export class FlameEffect {
         this.isBurning = true;
         this.time = 0;
         this.windForce = { x: 0, y: 0, z: 0 }; // Wind force for blow-out effect (from above)
+        this.random = options.random || Math.random; // Seeded generator makes the flame reproducible
         
         // Create particle system
         this.createParticleSystem();
@@ -98,11 +99,11 @@ export class FlameEffect {
         const i3 = i * 3;
         
         // Initial position - Candle flame shape (narrow at base)
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.pow(Math.random(), 2) * this.flameRadius * 0.5; // Strongly concentrate at center
+        const angle = this.random() * Math.PI * 2;
+        const radius = Math.pow(this.random(), 2) * this.flameRadius * 0.5; // Strongly concentrate at center
         
         this.positions[i3] = Math.cos(angle) * radius;
-        this.positions[i3 + 1] = Math.random() * 0.01; // Start very close to base
+        this.positions[i3 + 1] = this.random() * 0.01; // Start very close to base
         this.positions[i3 + 2] = Math.sin(angle) * radius;
         
         // Save initial position
@@ -111,21 +112,21 @@ export class FlameEffect {
         this.initialData[i3 + 2] = this.positions[i3 + 2];
         
         // Velocity - Gentle upward float with subtle horizontal drift
-        this.velocities[i3] = (Math.random() - 0.5) * 0.003;
-        this.velocities[i3 + 1] = this.particleSpeed + Math.random() * 0.005;
-        this.velocities[i3 + 2] = (Math.random() - 0.5) * 0.003;
+        this.velocities[i3] = (this.random() - 0.5) * 0.003;
+        this.velocities[i3 + 1] = this.particleSpeed + this.random() * 0.005;
+        this.velocities[i3 + 2] = (this.random() - 0.5) * 0.003;
         
         // Lifetime - Random starting phase
-        this.lifetimes[i] = Math.random();
+        this.lifetimes[i] = this.random();
         
         // Color - Deep orange-red at base (realistic candle flame)
-        const colorVariation = Math.random();
+        const colorVariation = this.random();
         this.colors[i3] = 1.0;                              // R: Full red
         this.colors[i3 + 1] = 0.25 + colorVariation * 0.35; // G: Deep orange
         this.colors[i3 + 2] = 0.0;                          // B: No blue at base
         
         // Size - Moderate variation
-        this.sizes[i] = 0.8 + Math.random() * 0.6;
+        this.sizes[i] = 0.8 + this.random() * 0.6;
     }
     
     /**
@@ -133,6 +134,7 @@ export class FlameEffect {
      */
     update(deltaTime = 0.016) {
         this.time += deltaTime;
+        const frames = deltaTime / 0.016;  // Velocities and wind are per ~60fps frame
         
         const positions = this.geometry.attributes.position.array;
         const colors = this.geometry.attributes.color.array;
@@ -150,18 +152,18 @@ export class FlameEffect {
             }
             
             // Update position
-            positions[i3] += this.velocities[i3];
-            positions[i3 + 1] += this.velocities[i3 + 1];
-            positions[i3 + 2] += this.velocities[i3 + 2];
+            positions[i3] += this.velocities[i3] * frames;
+            positions[i3 + 1] += this.velocities[i3 + 1] * frames;
+            positions[i3 + 2] += this.velocities[i3 + 2] * frames;
             
             // Gentle sine wave motion for natural flame sway (stronger when extinguishing)
             const wobbleStrength = this.isBurning ? 0.002 : 0.02;
             const wobbleStrength2 = this.isBurning ? 0.0015 : 0.015;
             const wobble = Math.sin(this.time * 3.5 + i * 0.2) * wobbleStrength;
             const wobble2 = Math.cos(this.time * 4 + i * 0.15) * wobbleStrength2;
-            positions[i3] += wobble + this.windForce.x;
-            positions[i3 + 1] += this.windForce.y; // Apply downward wind force
-            positions[i3 + 2] += wobble2 + this.windForce.z;
+            positions[i3] += (wobble + this.windForce.x) * frames;
+            positions[i3 + 1] += this.windForce.y * frames; // Apply downward wind force
+            positions[i3 + 2] += (wobble2 + this.windForce.z) * frames;
             
             // Height ratio for color gradient
             const heightRatio = Math.min(1.0, positions[i3 + 1] / this.flameHeight);
@@ -192,8 +194,8 @@ export class FlameEffect {
         this.isBurning = false;
         
         // Simulate blowing from above - downward wind with slight horizontal scatter
-        const horizontalAngle = Math.random() * Math.PI * 2;
-        const horizontalStrength = 0.02 + Math.random() * 0.015; // Random horizontal component
+        const horizontalAngle = this.random() * Math.PI * 2;
+        const horizontalStrength = 0.02 + this.random() * 0.015; // Random horizontal component
         
         gsap.to(this.windForce, {
             x: Math.cos(horizontalAngle) * horizontalStrength,
@@ -280,6 +282,27 @@ export class FlameEffect {
         }
     }
     
+    /**
+     * Use another random generator, by default respawning all particles from it
+     * (offline rendering passes a seeded one so every render is identical)
+     * @param {() => number} [random] - Returns 0 <= value < 1; omit for Math.random
+     * @param {boolean} [respawn=true] - Restart the flame from the new sequence
+     */
+    setRandom(random, respawn = true) {
+        this.random = random || Math.random;
+        if (!respawn) return;
+        
+        this.time = 0;
+        for (let i = 0; i < this.particleCount; i++) {
+            this.resetParticle(i);
+        }
+        
+        // Run one particle lifetime (2s) so the flame starts fully grown, not all at the wick
+        for (let step = 0; step < 125; step++) {
+            this.update(0.016);
+        }
+    }
+    
     /**
      * Get particle system object (add to scene)
      */
@@ -297,10 +320,25 @@ export class FlameEffect {
         }
     }
     
+    /**
+     * Draw only the first `count` particles (quality scaling, see RenderManager quality tiers)
+     * Buffers keep the full count and hidden particles keep simulating, so raising
+     * the count again continues seamlessly.
+     * @param {number} count - Clamped to the particle count the flame was created with
+     */
+    setParticleCount(count) {
+        const visible = Math.max(1, Math.min(Math.round(count), this.particleCount));
+        this.geometry.setDrawRange(0, visible);
+        console.log(`🔥 Flame drawing ${visible}/${this.particleCount} particles`);
+    }
+    
     /**
      * Dispose resources
      */
     dispose() {
+        // Extinguish / relight tweens still running
+        gsap.killTweensOf([this, this.windForce, this.velocities, this.material]);
+        this.particles.removeFromParent();
         this.geometry.dispose();
         this.material.dispose();
         console.log('🗑️  FlameEffect disposed');
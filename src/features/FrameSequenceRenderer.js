@@ -0,0 +1,183 @@
+import { gsap } from 'gsap';
+import { ZipWriter } from '../core/ZipWriter.js';
+import { createSeededRandom } from '../core/SeededRandom.js';
+
+/**
+ * FrameSequenceRenderer - Deterministic offline rendering of hologram video loops
+ *
+ * For displays that only play video: steps the app with a fixed timestep instead
+ * of requestAnimationFrame, renders N frames of the quadrant layout offscreen at
+ * any resolution and exports them as a numbered PNG sequence (ZIP) that video
+ * tools turn into the player's format.
+ *
+ * - Time: every frame advances exactly 1/fps. GSAP is driven from the same clock
+ *   (its ticker is detached while rendering), so tweens land on the same frames
+ *   every time regardless of how long a frame takes to render.
+ * - Randomness: prepare() receives a seeded random generator for particle effects.
+ * - Loops: with `loop: true`, `crossfade` extra frames are rendered after the last
+ *   one and blended over the first frames, so the last frame flows into the first.
+ *
+ * Usage:
+ *   const frameRenderer = new FrameSequenceRenderer({
+ *       renderManager, sceneManager, cameraManager,
+ *       step: (deltaSeconds) => app.stepAnimation(deltaSeconds),
+ *       prepare: (random) => flame.setRandom(random)
+ *   });
+ *   await frameRenderer.render({ width: 1920, height: 1080, fps: 30, frames: 180, loop: true });
+ */
+export class FrameSequenceRenderer {
+    constructor(options = {}) {
+        this.renderManager = options.renderManager;
+        this.sceneManager = options.sceneManager;
+        this.cameraManager = options.cameraManager;
+        this.step = options.step;                  // (deltaSeconds) => void - advance the app's animation
+        this.prepare = options.prepare || null;    // (random) => void - set up content before frame 0
+        this.finish = options.finish || null;      // () => void - restore live behaviour afterwards
+
+        this.isRendering = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Render a frame sequence and download it
+     * @param {Object} [options]
+     * @param {number} [options.width=1920] - Frame width in pixels
+     * @param {number} [options.height=1080] - Frame height in pixels
+     * @param {number} [options.fps=30] - Frame rate (fixed timestep = 1 / fps)
+     * @param {number} [options.frames] - Frame count (default: 4 seconds)
+     * @param {boolean} [options.loop=false] - Crossfade the end into the start for a seamless loop
+     * @param {number} [options.crossfade] - Frames blended for the loop (default: half a second)
+     * @param {number} [options.seed=1] - Seed for prepare()'s random generator
+     * @param {boolean} [options.transparent=false] - Transparent background
+     * @param {string} [options.filename] - Download name without extension
+     * @param {boolean} [options.download=true] - Save the file; false only returns the Blob
+     * @param {(frame: number, total: number) => void} [options.onProgress] - Called after each frame
+     * @returns {Promise<Blob|null>} - null if cancelled or the size is not supported
+     */
+    async render(options = {}) {
+        if (this.isRendering) {
+            console.warn('⚠️  Frame sequence already rendering');
+            return null;
+        }
+
+        const width = options.width ?? 1920;
+        const height = options.height ?? 1080;
+        const fps = options.fps ?? 30;
+        const frames = Math.max(1, Math.round(options.frames ?? fps * 4));
+        const crossfade = options.loop
+            ? Math.min(options.crossfade ?? Math.round(fps / 2), frames - 1)
+            : 0;
+        const transparent = !!options.transparent;
+
+        const scene = this.sceneManager.getScene();
+        if (!this.renderManager.beginOffscreen(scene, { width, height, transparent })) return null;
+
+        this.isRendering = true;
+        this.cancelled = false;
+        console.log(`🎞️  Rendering ${frames} frames at ${width}x${height}, ${fps} fps${crossfade ? ` (loop, ${crossfade} frame crossfade)` : ''}`);
+
+        // Drive GSAP from the frame clock instead of requestAnimationFrame
+        const deltaSeconds = 1 / fps;
+        let time = gsap.ticker.time;
+        gsap.ticker.remove(gsap.updateRoot);
+        gsap.updateRoot(time);
+
+        const encoded = [];  // PNG blobs in playback order
+        const head = [];     // Raw pixels of the first `crossfade` frames, blended at the end
+
+        try {
+            this.prepare?.(createSeededRandom(options.seed ?? 1));
+
+            for (let i = 0; i < frames + crossfade && !this.cancelled; i++) {
+                if (this.renderManager.isContextLost()) {
+                    // Frames from a lost context would read back black
+                    console.error('❌ WebGL context lost - frame sequence stopped');
+                    this.cancel();
+                    break;
+                }
+
+                if (i > 0) {
+                    time += deltaSeconds;
+                    gsap.updateRoot(time);
+                    this.step(deltaSeconds);
+                }
+
+                const pixels = this.renderManager.renderOffscreen(
+                    scene,
+                    this.cameraManager.getCameras(),
+                    this.cameraManager.getSingleCamera(),
+                    'quadrant'
+                );
+
+                if (i < crossfade) {
+                    head[i] = pixels;
+                } else if (i >= frames) {
+                    // Frame `frames + k` continues the last frame: fade it into head frame k
+                    const k = i - frames;
+                    encoded[k] = await this.renderManager.encodePng(
+                        this.blend(pixels, head[k], k / crossfade), width, height
+                    );
+                    head[k] = null;
+                } else {
+                    encoded[i] = await this.renderManager.encodePng(pixels, width, height);
+                }
+
+                options.onProgress?.(i + 1, frames + crossfade);
+            }
+        } finally {
+            this.renderManager.endOffscreen();
+            gsap.ticker.add(gsap.updateRoot);
+            this.finish?.();
+            this.isRendering = false;
+        }
+
+        if (this.cancelled) {
+            console.log('⏹️  Frame sequence cancelled');
+            return null;
+        }
+
+        const blob = await this.encodeZip(encoded);
+
+        if (blob && options.download !== false) {
+            const name = options.filename ?? `hologram-loop-${width}x${height}-${fps}fps`;
+            this.renderManager.downloadBlob(blob, `${name}.zip`);
+        }
+
+        console.log(`✅ Frame sequence done (${frames} frames)`);
+        return blob;
+    }
+
+    /**
+     * Stop the current render after the frame in progress
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Mix two frames: weight 0 = `from`, 1 = `to`
+     * @returns {Uint8ClampedArray}
+     */
+    blend(from, to, weight) {
+        const out = new Uint8ClampedArray(from.length);
+        for (let i = 0; i < from.length; i++) {
+            out[i] = from[i] + (to[i] - from[i]) * weight;
+        }
+        return out;
+    }
+
+    /**
+     * Numbered PNG sequence in an uncompressed ZIP (frame_0001.png, ...)
+     * @param {Blob[]} frames
+     * @returns {Promise<Blob>}
+     */
+    async encodeZip(frames) {
+        const zip = new ZipWriter();
+        const digits = Math.max(4, String(frames.length).length);
+
+        for (let i = 0; i < frames.length; i++) {
+            await zip.addFile(`frame_${String(i + 1).padStart(digits, '0')}.png`, frames[i]);
+        }
+        return zip.toBlob();
+    }
+}
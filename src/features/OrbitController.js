@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+/**
+ * OrbitController - Single view camera orbit with inertia, zoom and pan
+ *
+ * Drives CameraManager's single view camera from pointer and wheel input:
+ * - Drag (mouse / one finger): orbit via rotateSingleCamera, keeps spinning with damping on release
+ * - Wheel / pinch: zoom within [minDistance, maxDistance]
+ * - Two-finger drag / right mouse drag: pan lookAtTarget
+ * - Double tap / double click: onDoubleTap callback (apps re-frame the object)
+ *
+ * Pointer events cover mouse, touch and pen; the canvas gets `touch-action: none`
+ * so the browser does not scroll or zoom the page while interacting.
+ *
+ * Usage:
+ *   const orbit = new OrbitController({
+ *       cameraManager,
+ *       element: renderer.domElement,
+ *       isEnabled: () => app.viewMode === 'single',
+ *       onDoubleTap: () => app.reframe()
+ *   });
+ *   orbit.start();
+ *   // in the animation loop:
+ *   orbit.update();
+ */
+export class OrbitController {
+    constructor(options = {}) {
+        this.cameraManager = options.cameraManager;
+        this.element = options.element;
+        this.isEnabled = options.isEnabled || (() => true);  // Input is ignored while false
+        this.onDoubleTap = options.onDoubleTap || null;
+
+        // Configuration
+        this.config = {
+            rotateSpeed: options.rotateSpeed ?? 0.5,         // Degrees per pixel dragged
+            damping: options.damping ?? 0.9,                 // Velocity kept per 60fps frame after release (0 = no inertia)
+            zoomSpeed: options.zoomSpeed ?? 0.001,           // Wheel zoom per pixel of deltaY
+            minDistance: options.minDistance ?? 1.5,         // Closest single view distance
+            maxDistance: options.maxDistance ?? 20,          // Farthest single view distance
+            doubleTapDelay: options.doubleTapDelay ?? 300,   // Max time between taps (ms)
+            tapSlop: options.tapSlop ?? 10                   // Max movement for a tap (px)
+        };
+
+        // Active pointers: pointerId → { x, y }
+        this.pointers = new Map();
+        this.isPanning = false;                    // Right mouse button drag
+        this.pinchDistance = 0;                    // Finger distance at the last pinch event
+        this.velocity = { yaw: 0, pitch: 0 };      // Degrees per second, used for inertia
+        this.lastMoveTime = 0;
+        this.lastUpdateTime = performance.now();
+
+        // Tap tracking for double tap
+        this.tapStart = null;                      // { x, y, time } of the current single pointer press
+        this.lastTap = null;                       // { x, y, time } of the previous tap
+
+        // Bind methods
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
+    }
+
+    /**
+     * Start listening for pointer and wheel events
+     */
+    start() {
+        this.element.style.touchAction = 'none';
+        this.element.addEventListener('pointerdown', this.handlePointerDown);
+        this.element.addEventListener('pointermove', this.handlePointerMove);
+        this.element.addEventListener('pointerup', this.handlePointerUp);
+        this.element.addEventListener('pointercancel', this.handlePointerUp);
+        this.element.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.element.addEventListener('contextmenu', this.handleContextMenu);
+    }
+
+    /**
+     * Stop listening and drop any inertia
+     */
+    stop() {
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+        this.element.removeEventListener('wheel', this.handleWheel);
+        this.element.removeEventListener('contextmenu', this.handleContextMenu);
+        this.pointers.clear();
+        this.stopInertia();
+    }
+
+    /**
+     * Apply inertia - call once per frame from the animation loop
+     */
+    update() {
+        const now = performance.now();
+        const deltaSeconds = Math.min((now - this.lastUpdateTime) / 1000, 0.1);
+        this.lastUpdateTime = now;
+
+        if (this.pointers.size > 0 || !this.isEnabled()) return;
+
+        const { yaw, pitch } = this.velocity;
+        if (Math.abs(yaw) < 0.5 && Math.abs(pitch) < 0.5) {
+            this.stopInertia();
+            return;
+        }
+
+        this.cameraManager.rotateSingleCamera(yaw * deltaSeconds, pitch * deltaSeconds);
+
+        // Frame-rate independent exponential decay
+        const decay = Math.pow(this.config.damping, deltaSeconds * 60);
+        this.velocity.yaw *= decay;
+        this.velocity.pitch *= decay;
+    }
+
+    stopInertia() {
+        this.velocity.yaw = 0;
+        this.velocity.pitch = 0;
+    }
+
+    handlePointerDown(event) {
+        if (!this.isEnabled()) return;
+
+        this.element.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.stopInertia();
+        this.lastMoveTime = performance.now();
+
+        if (this.pointers.size === 1) {
+            this.isPanning = event.button === 2;
+            this.tapStart = { x: event.clientX, y: event.clientY, time: performance.now() };
+            this.element.style.cursor = 'grabbing';
+        } else if (this.pointers.size === 2) {
+            // Second finger turns the gesture into pinch / pan
+            this.tapStart = null;
+            this.pinchDistance = this.getPinchDistance();
+        }
+    }
+
+    handlePointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous || !this.isEnabled()) return;
+
+        const deltaX = event.clientX - previous.x;
+        const deltaY = event.clientY - previous.y;
+
+        if (this.pointers.size === 1) {
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+            if (this.isPanning) {
+                this.pan(deltaX, deltaY);
+            } else {
+                this.rotate(deltaX, deltaY);
+            }
+        } else if (this.pointers.size === 2) {
+            // Pan by the midpoint movement, zoom by the finger distance ratio
+            const midpointBefore = this.getMidpoint();
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            const midpointAfter = this.getMidpoint();
+
+            this.pan(midpointAfter.x - midpointBefore.x, midpointAfter.y - midpointBefore.y);
+
+            const pinchDistance = this.getPinchDistance();
+            if (this.pinchDistance > 0 && pinchDistance > 0) {
+                this.zoom(this.pinchDistance / pinchDistance);
+            }
+            this.pinchDistance = pinchDistance;
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+
+        this.pointers.delete(event.pointerId);
+        if (this.element.hasPointerCapture(event.pointerId)) {
+            this.element.releasePointerCapture(event.pointerId);
+        }
+
+        // Fingers resting at release should not fling
+        if (performance.now() - this.lastMoveTime > 100) {
+            this.stopInertia();
+        }
+
+        if (this.pointers.size === 0) {
+            this.isPanning = false;
+            this.element.style.cursor = 'default';
+            this.detectDoubleTap(event);
+        } else {
+            // Back to one finger: keep rotating from its current position, no pinch jump
+            this.tapStart = null;
+            this.stopInertia();
+        }
+    }
+
+    handleWheel(event) {
+        if (!this.isEnabled()) return;
+
+        event.preventDefault();
+        this.zoom(Math.exp(event.deltaY * this.config.zoomSpeed));
+    }
+
+    handleContextMenu(event) {
+        // Right mouse button pans in single view
+        if (this.isEnabled()) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Orbit by a pixel delta and track the drag velocity for inertia
+     */
+    rotate(deltaX, deltaY) {
+        // Both axes inverted for natural feel
+        const deltaYaw = -deltaX * this.config.rotateSpeed;
+        const deltaPitch = -deltaY * this.config.rotateSpeed;
+        this.cameraManager.rotateSingleCamera(deltaYaw, deltaPitch);
+
+        // Smoothed velocity (degrees per second)
+        const now = performance.now();
+        const deltaSeconds = Math.max((now - this.lastMoveTime) / 1000, 1 / 240);
+        this.lastMoveTime = now;
+        this.velocity.yaw = this.velocity.yaw * 0.5 + (deltaYaw / deltaSeconds) * 0.5;
+        this.velocity.pitch = this.velocity.pitch * 0.5 + (deltaPitch / deltaSeconds) * 0.5;
+    }
+
+    /**
+     * Scale the single view distance (scale > 1 moves away)
+     */
+    zoom(scale) {
+        const { distance } = this.cameraManager.getUserCameraState();
+        const { minDistance, maxDistance } = this.config;
+        this.cameraManager.setSingleCameraDistance(
+            THREE.MathUtils.clamp(distance * scale, minDistance, maxDistance)
+        );
+    }
+
+    /**
+     * Move lookAtTarget so the content follows the pointer on screen
+     */
+    pan(deltaX, deltaY) {
+        const camera = this.cameraManager.getSingleCamera();
+        const { distance } = this.cameraManager.getUserCameraState();
+
+        // World units per pixel at the target plane
+        const height = this.element.clientHeight || 1;
+        const worldPerPixel = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) / height;
+
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+        const offset = right.multiplyScalar(-deltaX * worldPerPixel)
+            .add(up.multiplyScalar(deltaY * worldPerPixel));
+
+        this.cameraManager.panLookAtTarget(offset);
+        this.lastMoveTime = performance.now();
+    }
+
+    detectDoubleTap(event) {
+        const start = this.tapStart;
+        this.tapStart = null;
+        if (!start) return;
+
+        const now = performance.now();
+        const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y);
+        if (moved > this.config.tapSlop || now - start.time > this.config.doubleTapDelay) {
+            this.lastTap = null;
+            return;
+        }
+
+        const tap = { x: event.clientX, y: event.clientY, time: now };
+        const last = this.lastTap;
+        if (last && now - last.time < this.config.doubleTapDelay &&
+            Math.hypot(tap.x - last.x, tap.y - last.y) < this.config.tapSlop * 3) {
+            this.lastTap = null;
+            this.stopInertia();
+            if (this.onDoubleTap) this.onDoubleTap();
+            return;
+        }
+
+        this.lastTap = tap;
+    }
+
+    getMidpoint() {
+        const [a, b] = [...this.pointers.values()];
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
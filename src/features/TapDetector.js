@@ -399,4 +399,16 @@ export class TapDetector {
         this.config = { ...this.config, ...newConfig };
         console.log('⚙️ TapDetector config updated:', this.config);
     }
+    
+    /**
+     * Stop detection and drop every registered callback
+     */
+    dispose() {
+        if (this.isActive) {
+            this.stop();
+        }
+        this.clearLongPress();
+        this.listeners = {};
+        console.log('🗑️  TapDetector disposed');
+    }
 }